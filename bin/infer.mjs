@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// CLI do motor de inferência: imprime o tipo final ou o trace completo em JSON.
+// Código de saída: 0 = tipou (e, com --eval, executou), 1 = erro léxico/sintático/de tipo ou em execução, 2 = uso incorreto.
+import { readFileSync } from 'node:fs';
+import { runInference, resultToJSON, explainError, evaluate, EVAL_STRATEGIES, lineCol, showQualified, PRELUDE } from '../src/engine/index.js';
+
+const USAGE = `Uso: infer [opções] <expressão>
+       infer [opções] -f <arquivo>     (use "-" para ler da entrada padrão)
+       infer [opções] -- <expressão>   (depois de --, nada é opção: infer -- -x)
+
+Opções:
+  -f, --file <arquivo>   lê o programa de um arquivo
+  --json                 imprime o resultado e todos os passos do trace em JSON
+  --mode <W|constraints> modo de inferência (padrão: W)
+  --no-prelude           analisa com o ambiente vazio
+  --all-errors           continua após erros de tipo e lista todos
+  --eval                 executa o programa (se tipar) e imprime o valor
+  --strategy <substitution|environment>
+                         estratégia do --eval (padrão: environment)
+  -h, --help             mostra esta ajuda`;
+
+const usageError = (msg) => {
+    process.stderr.write(`${msg}\n\n${USAGE}\n`);
+    process.exit(2);
+};
+
+// Opções são --nome ou exatamente -f e -h; o resto (-3, -x, -) é código ou arquivo
+const isOption = (arg) => arg === '-f' || arg === '-h' || /^--./.test(arg);
+
+const parseArgs = (argv) => {
+    const opts = { file: null, json: false, mode: 'W', prelude: PRELUDE, recover: false, evaluate: false, strategy: 'environment', code: null };
+    let optionsEnded = false;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--' && !optionsEnded) optionsEnded = true;
+        else if (optionsEnded || !isOption(arg)) {
+            if (opts.code !== null) usageError('Mais de uma expressão informada');
+            opts.code = arg;
+        }
+        else if (arg === '-h' || arg === '--help') { process.stdout.write(`${USAGE}\n`); process.exit(0); }
+        else if (arg === '-f' || arg === '--file') { if (argv[i + 1] === undefined) usageError(`${arg} exige um arquivo`); opts.file = argv[++i]; }
+        else if (arg === '--json') opts.json = true;
+        else if (arg === '--mode') { opts.mode = argv[++i]; if (!['W', 'constraints'].includes(opts.mode)) usageError(`Modo desconhecido: ${opts.mode}`); }
+        else if (arg === '--no-prelude') opts.prelude = {};
+        else if (arg === '--all-errors') opts.recover = true;
+        else if (arg === '--eval') opts.evaluate = true;
+        else if (arg === '--strategy') { opts.strategy = argv[++i]; opts.evaluate = true; if (!EVAL_STRATEGIES.some(s => s.id === opts.strategy)) usageError(`Estratégia desconhecida: ${opts.strategy}`); }
+        else usageError(`Opção desconhecida: ${arg}`);
+    }
+    if ((opts.code === null) === (opts.file === null)) usageError('Informe uma expressão ou um arquivo (-f)');
+    if (opts.evaluate && opts.json) usageError('--eval não pode ser combinado com --json');
+    return opts;
+};
+
+const opts = parseArgs(process.argv.slice(2));
+let code = opts.code;
+if (opts.file !== null) {
+    try { code = readFileSync(opts.file === '-' ? 0 : opts.file, 'utf8'); }
+    catch (e) { usageError(`Não foi possível ler ${opts.file}: ${e.message}`); }
+}
+
+const result = runInference(code, { prelude: opts.prelude, mode: opts.mode, recover: opts.recover });
+if (opts.json) {
+    process.stdout.write(`${JSON.stringify(resultToJSON(result), null, 2)}\n`);
+} else if (result.error) {
+    // Um erro por linha no formato arquivo:linha:coluna, seguido da cadeia de culpa indentada
+    for (const error of result.errors) {
+        const pos = error.span ? lineCol(code, error.span.start) : null;
+        process.stderr.write(`${pos ? `${opts.file || '<expr>'}:${pos.line}:${pos.col}: ` : ''}${error.message}\n`);
+        for (const line of explainError(error, code)) process.stderr.write(`    ${line}\n`);
+    }
+} else {
+    process.stdout.write(`${showQualified(result.type)}\n`);
+}
+// Só programas bem tipados chegam aqui; o valor vem depois do tipo
+let runtimeError = null;
+if (opts.evaluate && !result.error) {
+    const run = evaluate(result, { strategy: opts.strategy });
+    runtimeError = run.error;
+    if (run.error) {
+        const pos = run.error.span ? lineCol(code, run.error.span.start) : null;
+        process.stderr.write(`${pos ? `${opts.file || '<expr>'}:${pos.line}:${pos.col}: ` : ''}Erro em execução: ${run.error.message}\n`);
+    } else process.stdout.write(`= ${run.value}\n`);
+}
+process.exit(result.error || runtimeError ? 1 : 0);
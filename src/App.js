@@ -1,249 +1,163 @@
-import React, { useState } from 'react';
-import { Play, Terminal, ArrowRight, ArrowLeft, Database, Network } from 'lucide-react';
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { Play, Terminal, ArrowRight, ArrowLeft, Database, Network, BookOpen, ListChecks, Download, Upload, Library, Link, Trash2, GitMerge, ZoomIn, ZoomOut, Maximize2, Minimize2, Cpu, GraduationCap, Lightbulb } from 'lucide-react';
+import { lineCol, findNode, typeAtTick, showQualified, PRELUDE, parseTypeSig, resolvePrelude, runInference, replayTrace, toLatex, toMarkdown, resultToJSON, explainError, blameNodes, memoryAt, EVAL_STRATEGIES, evaluate, envBindings, showExpr } from './engine/index.js';
+import {
+    makeEntry, loadLibrary, saveLibrary, loadDraft, saveDraft, upsertEntry, libraryToJSON, parseLibraryJSON,
+    toSignature, checkExpected, encodePermalink, decodePermalink,
+} from './library.js';
+import { EXERCISE_KINDS, createExercise, currentTask, isFinished, answerTask, showHint, revealTask, visibleLimit, scoreOf } from './exercise.js';
 import './index.css';
 
-// --- 1. SISTEMA DE TIPOS ---
-class Type {
-    constructor(id) { this.id = id; }
-    toString() { return this.id; }
-}
-class TypeInt extends Type { constructor() { super("Int"); } }
-class TypeBool extends Type { constructor() { super("Bool"); } }
-class TypeVar extends Type {
-    constructor(name) { super(name); this.name = name; this.instance = null; }
-    toString() { return this.instance ? this.instance.toString() : this.name; }
-}
-class TypeArrow extends Type {
-    constructor(param, ret) { super("Arrow"); this.param = param; this.ret = ret; }
-    toString() {
-        const p = this.param instanceof TypeArrow ? `(${this.param})` : this.param;
-        return `${p} -> ${this.ret}`;
-    }
-}
-class TypeList extends Type {
-    constructor(elemType) { super("List"); this.elemType = elemType; }
-    toString() { return `[${this.elemType}]`; }
-}
-
-// --- 2. AST ---
-class Expr { constructor() { this.uid = Math.random().toString(36).substr(2, 9); } }
-class EInt extends Expr { constructor(val) { super(); this.val = val; } toString() { return `Int(${this.val})`; } children() { return []; } }
-class EBool extends Expr { constructor(val) { super(); this.val = val; } toString() { return `Bool(${this.val})`; } children() { return []; } }
-class EVar extends Expr { constructor(name) { super(); this.name = name; } toString() { return `Var(${this.name})`; } children() { return []; } }
-class EBinOp extends Expr { constructor(op, left, right) { super(); this.op = op; this.left = left; this.right = right; } toString() { return `Op(${this.op})`; } children() { return [this.left, this.right]; } }
-class EIf extends Expr { constructor(cond, thenBr, elseBr) { super(); this.cond = cond; this.thenBr = thenBr; this.elseBr = elseBr; } toString() { return `If`; } children() { return [this.cond, this.thenBr, this.elseBr]; } }
-class EFun extends Expr { constructor(param, body) { super(); this.param = param; this.body = body; } toString() { return `Fun(${this.param})`; } children() { return [this.body]; } }
-class ELet extends Expr { constructor(name, val, body) { super(); this.name = name; this.val = val; this.body = body; } toString() { return `Let(${this.name})`; } children() { return [this.val, this.body]; } }
-class EApp extends Expr { constructor(func, arg) { super(); this.func = func; this.arg = arg; } toString() { return `App`; } children() { return [this.func, this.arg]; } }
-class EList extends Expr { constructor(head, tail) { super(); this.head = head; this.tail = tail; } toString() { return `List`; } children() { return this.tail ? [this.head, this.tail] : [this.head]; } }
-class EEmptyList extends Expr { toString() { return `[]`; } children() { return []; } }
-
-// --- 3. PARSER ---
-const tokenize = (input) => {
-    const regex = /\s+|(\d+)|(true|false)|(let|in|if|then|else|fun)|(->)|(==|!=|<=|>=|<|>|\+|-|\*|\/|::|=)|([a-zA-Z_][a-zA-Z0-9_]*)|(\[|\]|\(|\)|,)/g;
-    const tokens = [];
-    let match;
-    while ((match = regex.exec(input)) !== null) {
-        if (match[0].trim().length === 0) continue;
-        if (match[1]) tokens.push({ type: 'NUM', val: parseInt(match[1]) });
-        else if (match[2]) tokens.push({ type: 'BOOL', val: match[2] === 'true' });
-        else if (match[3]) tokens.push({ type: 'KW', val: match[3] });
-        else if (match[4]) tokens.push({ type: 'ARROW', val: '->' });
-        else if (match[5]) tokens.push({ type: 'OP', val: match[5] });
-        else if (match[6]) tokens.push({ type: 'ID', val: match[6] });
-        else if (match[7]) tokens.push({ type: 'PUNC', val: match[7] });
-    }
-    return tokens;
+// --- UI COMPONENTS ---
+
+// Textarea com uma camada de fundo que destaca o span do erro, o do nó ativo e os nós culpados pelo erro
+const CodeEditor = ({ value, onChange, errorSpan, activeSpan, blameSpans = [] }) => {
+    const backdropRef = useRef(null);
+    const cuts = new Set([0, value.length]);
+    [errorSpan, activeSpan, ...blameSpans].forEach(s => { if (s) { cuts.add(s.start); cuts.add(s.end); } });
+    const points = [...cuts].filter(c => c <= value.length).sort((a, b) => a - b);
+    const covers = (s, a, b) => s && s.start <= a && b <= s.end;
+
+    const segments = points.slice(0, -1).map((a, i) => {
+        const b = points[i + 1];
+        const cls = [
+            covers(activeSpan, a, b) && 'bg-yellow-500/25 rounded-sm',
+            !covers(activeSpan, a, b) && blameSpans.some(s => covers(s, a, b)) && 'bg-orange-500/25 rounded-sm',
+            covers(errorSpan, a, b) && 'bg-red-500/20 underline decoration-wavy decoration-red-500',
+        ].filter(Boolean).join(' ');
+        return <span key={a} className={cls}>{value.slice(a, b)}</span>;
+    });
+    const eofError = errorSpan && errorSpan.start === errorSpan.end;
+
+    return (
+        <div className="relative w-full h-24">
+            <div ref={backdropRef} aria-hidden="true" className="absolute inset-0 overflow-hidden whitespace-pre-wrap break-words text-sm font-fira text-transparent pointer-events-none">
+                {segments}
+                {eofError && <span className="inline-block w-2 h-4 align-text-bottom border-b-2 border-red-500 bg-red-500/20" />}
+                {'\n'}
+            </div>
+            <textarea
+                value={value} onChange={onChange}
+                onScroll={(e) => { if (backdropRef.current) backdropRef.current.scrollTop = e.target.scrollTop; }}
+                className="relative w-full h-full bg-transparent outline-none text-sm resize-none font-fira"
+                spellCheck="false"
+            />
+        </div>
+    );
 };
 
-class Parser {
-    constructor(tokens) { this.tokens = tokens; this.pos = 0; }
-    peek() { return this.tokens[this.pos]; }
-    consume() { return this.tokens[this.pos++]; }
-    match(type, val) {
-        const t = this.peek();
-        if (t && t.type === type && (!val || t.val === val)) { this.consume(); return true; }
-        return false;
-    }
-    expect(type, val) { if (!this.match(type, val)) throw new Error(`Erro Sintático: Esperado ${val||type}, achou ${this.peek()?.val}`); }
-
-    parseAtom() {
-        const t = this.peek();
-        if (!t) throw new Error("Fim inesperado");
-        if (t.type === 'NUM') { this.consume(); return new EInt(t.val); }
-        if (t.type === 'BOOL') { this.consume(); return new EBool(t.val); }
-        if (t.type === 'ID') { this.consume(); return new EVar(t.val); }
-        if (this.match('PUNC', '[')) {
-            if (this.match('PUNC', ']')) return new EEmptyList();
-            const head = this.parseExpression();
-            let tail = new EEmptyList();
-            if (this.match('PUNC', ',')) {
-                const second = this.parseExpression();
-                tail = new EList(second, new EEmptyList());
-                this.expect('PUNC', ']');
-                return new EList(head, tail);
-            }
-            this.expect('PUNC', ']');
-            return new EList(head, tail);
-        }
-        if (this.match('PUNC', '(')) { const e = this.parseExpression(); this.expect('PUNC', ')'); return e; }
-        throw new Error(`Token inesperado: ${t.val}`);
-    }
-    parseApp() {
-        let expr = this.parseAtom();
-        while (true) {
-            const t = this.peek();
-            if (t && (t.type === 'NUM' || t.type === 'BOOL' || t.type === 'ID' || (t.type === 'PUNC' && t.val === '(') || (t.type === 'PUNC' && t.val === '['))) {
-                expr = new EApp(expr, this.parseAtom());
-            } else break;
-        }
-        return expr;
-    }
-    parseBinary() {
-        let left = this.parseApp();
-        const t = this.peek();
-        if (t && t.type === 'OP' && t.val !== '=') { this.consume(); return new EBinOp(t.val, left, this.parseBinary()); }
-        return left;
-    }
-    parseExpression() {
-        if (this.match('KW', 'let')) {
-            const id = this.consume(); if (id.type !== 'ID') throw new Error("Esperado ID após let");
-            this.expect('OP', '='); const val = this.parseExpression();
-            this.expect('KW', 'in'); return new ELet(id.val, val, this.parseExpression());
-        }
-        if (this.match('KW', 'fun')) {
-            const p = this.consume(); if (p.type !== 'ID') throw new Error("Esperado param após fun");
-            this.expect('ARROW'); return new EFun(p.val, this.parseExpression());
-        }
-        if (this.match('KW', 'if')) {
-            const c = this.parseExpression(); this.expect('KW', 'then');
-            const t = this.parseExpression(); this.expect('KW', 'else');
-            return new EIf(c, t, this.parseExpression());
-        }
-        return this.parseBinary();
+// Lista com linhas de altura fixa que só monta as visíveis (o trace e o heap chegam a milhares de linhas).
+// scrollTo: índice que deve ficar visível (a linha do passo selecionado)
+const VIRTUAL_OVERSCAN = 8;
+const VirtualList = ({ count, rowHeight, renderRow, scrollTo, className = '' }) => {
+    const ref = useRef(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [height, setHeight] = useState(0);
+    useEffect(() => {
+        const el = ref.current;
+        setHeight(el.clientHeight);
+        if (typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver(() => setHeight(el.clientHeight));
+        observer.observe(el);
+        return () => observer.disconnect();
+    }, []);
+    useEffect(() => {
+        const el = ref.current;
+        if (scrollTo === undefined || scrollTo < 0) return;
+        const top = scrollTo * rowHeight;
+        if (top < el.scrollTop) el.scrollTop = top;
+        else if (top + rowHeight > el.scrollTop + el.clientHeight) el.scrollTop = top + rowHeight - el.clientHeight;
+    }, [scrollTo, rowHeight]);
+
+    const first = Math.max(0, Math.floor(scrollTop / rowHeight) - VIRTUAL_OVERSCAN);
+    const last = Math.min(count, Math.ceil((scrollTop + height) / rowHeight) + VIRTUAL_OVERSCAN);
+    const rows = [];
+    for (let i = first; i < last; i++) {
+        rows.push(<div key={i} className="absolute inset-x-0" style={{ top: i * rowHeight, height: rowHeight }}>{renderRow(i)}</div>);
     }
-}
-
-// --- 4. MOTOR ---
-let typeVars = [];
-const resetTypeVars = () => { typeVars = []; };
-const newTypeVar = () => { const tv = new TypeVar(`T${typeVars.length}`); typeVars.push(tv); return tv; };
-const prune = (t) => { if (t instanceof TypeVar && t.instance) { t.instance = prune(t.instance); return t.instance; } return t; };
-const occursIn = (v, t) => {
-    t = prune(t);
-    if (v === t) return true;
-    if (t instanceof TypeArrow) return occursIn(v, t.param) || occursIn(v, t.ret);
-    if (t instanceof TypeList) return occursIn(v, t.elemType);
-    return false;
+    return (
+        <div ref={ref} onScroll={(e) => setScrollTop(e.target.scrollTop)} className={`overflow-y-auto custom-scrollbar ${className}`}>
+            <div className="relative" style={{ height: count * rowHeight }}>{rows}</div>
+        </div>
+    );
 };
-const snapshotTypes = () => typeVars.map(tv => ({ name: tv.name, val: tv.instance ? prune(tv).toString() : '?' }));
-
-const unify = (t1, t2, trace, ctx, nodeId) => {
-    t1 = prune(t1); t2 = prune(t2);
-    if (t1 === t2) return;
-    if (t1 instanceof TypeInt && t2 instanceof TypeInt) return;
-    if (t1 instanceof TypeBool && t2 instanceof TypeBool) return;
-    if (t1 instanceof TypeVar) {
-        if (occursIn(t1, t2)) throw new Error(`Occurs Check: Ciclo infinito (${t1} em ${t2})`);
-        t1.instance = t2;
-        trace(`UNIFICAR: ${t1.name} ⟵ ${t2} (${ctx})`, 'success', snapshotTypes(), nodeId);
-        return;
-    }
-    if (t2 instanceof TypeVar) { unify(t2, t1, trace, ctx, nodeId); return; }
-    if (t1 instanceof TypeArrow && t2 instanceof TypeArrow) {
-        unify(t1.param, t2.param, trace, 'Param Função', nodeId);
-        unify(t1.ret, t2.ret, trace, 'Retorno Função', nodeId);
-        return;
-    }
-    if (t1 instanceof TypeList && t2 instanceof TypeList) {
-        unify(t1.elemType, t2.elemType, trace, 'Elemento Lista', nodeId);
-        return;
-    }
-    throw new Error(`Incompatível: ${t1} vs ${t2}`);
+
+// Conteúdo escalado com transform (a propriedade zoom do CSS não funciona em todos os navegadores).
+// transform não muda o layout, então a caixa de fora recebe o tamanho já escalado para a rolagem acompanhar
+const Zoomed = ({ scale, children }) => {
+    const ref = useRef(null);
+    const [size, setSize] = useState({ width: 0, height: 0 });
+    useLayoutEffect(() => {
+        const el = ref.current;
+        const measure = () => setSize({ width: el.offsetWidth, height: el.offsetHeight });
+        measure();
+        if (typeof ResizeObserver === 'undefined') return undefined;
+        const observer = new ResizeObserver(measure);
+        observer.observe(el);
+        return () => observer.disconnect();
+    }, []);
+    return (
+        <div style={{ width: size.width * scale, height: size.height * scale }}>
+            <div ref={ref} className="w-max" style={{ transform: `scale(${scale})`, transformOrigin: 'top left' }}>{children}</div>
+        </div>
+    );
 };
 
-const analyze = (env, expr, trace) => {
-    trace(`AST: Analisando ${expr.toString()}`, 'ast', snapshotTypes(), expr.uid);
+// Árvores grandes começam recolhidas abaixo desta profundidade
+const AST_LARGE = 300;
+const AST_FOLD_DEPTH = 4;
 
-    if (expr instanceof EInt) { return new TypeInt(); }
-    if (expr instanceof EBool) { return new TypeBool(); }
-    if (expr instanceof EVar) {
-        const t = env[expr.name];
-        if (!t) throw new Error(`Variável '${expr.name}' não existe`);
-        return t;
-    }
-    if (expr instanceof EEmptyList) {
-        const tv = newTypeVar();
-        return new TypeList(tv);
-    }
-    if (expr instanceof EList) {
-        const tHead = analyze(env, expr.head, trace);
-        const tTail = analyze(env, expr.tail, trace);
-        unify(tTail, new TypeList(tHead), trace, "Lista Homogênea", expr.uid);
-        return new TypeList(tHead);
-    }
-    if (expr instanceof EBinOp) {
-        const tL = analyze(env, expr.left, trace);
-        const tR = analyze(env, expr.right, trace);
-        trace(`RESTRIÇÃO: ${expr.op} exige tipos compatíveis`, 'info', snapshotTypes(), expr.uid);
-        if (['+', '-', '*', '/'].includes(expr.op)) {
-            unify(tL, new TypeInt(), trace, `Esq de '${expr.op}'`, expr.uid);
-            unify(tR, new TypeInt(), trace, `Dir de '${expr.op}'`, expr.uid);
-            return new TypeInt();
-        } else {
-            unify(tL, tR, trace, `Operandos de '${expr.op}'`, expr.uid);
-            return new TypeBool();
-        }
-    }
-    if (expr instanceof EIf) {
-        const tC = analyze(env, expr.cond, trace);
-        unify(tC, new TypeBool(), trace, "Condição If", expr.uid);
-        const tT = analyze(env, expr.thenBr, trace);
-        const tE = analyze(env, expr.elseBr, trace);
-        unify(tT, tE, trace, "Ramos Then/Else", expr.uid);
-        return tT;
-    }
-    if (expr instanceof EFun) {
-        const pT = newTypeVar();
-        const newEnv = { ...env, [expr.param]: pT };
-        trace(`ESCOPO: ${expr.param} : ${pT.name}`, 'warn', snapshotTypes(), expr.uid);
-        const bT = analyze(newEnv, expr.body, trace);
-        return new TypeArrow(pT, bT);
-    }
-    if (expr instanceof EApp) {
-        const tF = analyze(env, expr.func, trace);
-        const tA = analyze(env, expr.arg, trace);
-        const tR = newTypeVar();
-        unify(tF, new TypeArrow(tA, tR), trace, "Aplicação", expr.uid);
-        return tR;
-    }
-    if (expr instanceof ELet) {
-        const vT = analyze(env, expr.val, trace);
-        return analyze({ ...env, [expr.name]: vT }, expr.body, trace);
+const countNodes = (root) => {
+    let count = 0;
+    const stack = root ? [root] : [];
+    while (stack.length) { count++; stack.push(...stack.pop().children()); }
+    return count;
+};
+// uids dos ancestrais dos nós indicados (para manter visíveis o nó ativo e os culpados pelo erro)
+const ancestorsOf = (root, uids) => {
+    const parents = new Map();
+    const stack = root ? [root] : [];
+    while (stack.length) {
+        const node = stack.pop();
+        node.children().forEach(child => { parents.set(child.uid, node.uid); stack.push(child); });
     }
-    throw new Error("Desconhecido");
+    const open = new Set();
+    uids.forEach(uid => { for (let p = parents.get(uid); p && !open.has(p); p = parents.get(p)) open.add(p); });
+    return open;
 };
 
-// --- 5. UI COMPONENTS ---
-
-const ASTNode = ({ node, activeNodeId }) => {
+// types: tipos registrados por analyze (uid -> { type, rule, desc, tick }); tick: passo selecionado;
+// blamed: uids dos nós citados na explicação do erro selecionado;
+// fold: { isOpen(node, depth), toggle(uid) } — quais nós mostram os filhos
+const ASTNode = ({ node, activeNodeId, types, tick, blamed, fold, depth = 0 }) => {
     if (!node) return null;
     const isActive = node.uid === activeNodeId;
+    const isBlamed = !isActive && blamed && blamed.has(node.uid);
     const children = node.children();
+    const open = fold.isOpen(node, depth);
+    const info = types[node.uid];
+    const typed = info && tick !== undefined && info.tick <= tick;
 
     return (
         <div className="flex flex-col items-center">
             <div className={`
         border-2 rounded-lg px-3 py-2 mb-2 text-sm font-bold transition-all duration-300
-        ${isActive ? 'bg-yellow-500/20 border-yellow-400 text-yellow-200 scale-110 shadow-[0_0_15px_rgba(250,204,21,0.5)]' : 'bg-slate-800 border-slate-600 text-slate-300'}
-      `}>
+        ${isActive ? 'bg-yellow-500/20 border-yellow-400 text-yellow-200 scale-110 shadow-[0_0_15px_rgba(250,204,21,0.5)]' : isBlamed ? 'bg-orange-500/15 border-orange-400 text-orange-200' : 'bg-slate-800 border-slate-600 text-slate-300'}
+        ${children.length > 0 ? 'cursor-pointer' : ''}
+      `} title={info ? `${info.rule}: ${info.desc}` : undefined} onClick={children.length > 0 ? () => fold.toggle(node.uid) : undefined}>
                 {node.toString()}
+                {typed && <div className="text-xs font-normal text-cyan-300 text-center">{typeAtTick(info.type, tick)}</div>}
             </div>
-            {children.length > 0 && (
+            {children.length > 0 && !open && (
+                <button onClick={() => fold.toggle(node.uid)} className="text-[10px] px-1 rounded bg-slate-800 border border-slate-600 text-slate-400 hover:text-slate-200">
+                    +{children.length}
+                </button>
+            )}
+            {children.length > 0 && open && (
                 <div className="flex gap-4 relative pt-4 before:content-[''] before:absolute before:top-0 before:left-1/2 before:-translate-x-1/2 before:h-4 before:w-px before:bg-slate-600">
                     {children.map((child, i) => (
                         <div key={i} className="relative flex flex-col items-center before:content-[''] before:absolute before:-top-4 before:left-1/2 before:-translate-x-1/2 before:h-4 before:w-px before:bg-slate-600 first:before:origin-bottom-right last:before:origin-bottom-left">
-                            <ASTNode node={child} activeNodeId={activeNodeId} />
+                            <ASTNode node={child} activeNodeId={activeNodeId} types={types} tick={tick} blamed={blamed} fold={fold} depth={depth + 1} />
                         </div>
                     ))}
                 </div>
@@ -252,64 +166,561 @@ const ASTNode = ({ node, activeNodeId }) => {
     );
 };
 
+const MODES = [
+    { id: 'W', label: 'Algorithm W' },
+    { id: 'constraints', label: 'Restrições' },
+];
+
+const CONSTRAINT_STATUS = {
+    pending: { label: 'pendente', cls: 'text-slate-400 border-slate-700' },
+    solved: { label: 'resolvida', cls: 'text-green-400 border-green-800' },
+    failed: { label: 'falhou', cls: 'text-red-400 border-red-700 bg-red-900/20' },
+};
+
+// Restrições já geradas no passo selecionado, com o status que tinham naquele passo
+const ConstraintList = ({ constraints, tick }) => {
+    const visible = tick === undefined ? [] : constraints.filter(c => c.tick <= tick);
+    if (visible.length === 0) return <div className="text-slate-700 text-xs italic text-center">Nenhuma</div>;
+    return <VirtualList count={visible.length} rowHeight={46} className="h-full" renderRow={(i) => {
+        const c = visible[i];
+        const status = c.doneTick !== null && c.doneTick <= tick ? c.status : 'pending';
+        const equation = `${typeAtTick(c.left, tick)} ≐ ${typeAtTick(c.right, tick)}`;
+        return (
+            <div className={`text-xs font-mono p-1 rounded border ${CONSTRAINT_STATUS[status].cls}`}>
+                <div className="truncate" title={equation}>{equation}</div>
+                <div className="flex justify-between opacity-70">
+                    <span>{c.reason}</span>
+                    <span>{CONSTRAINT_STATUS[status].label}</span>
+                </div>
+            </div>
+        );
+    }} />;
+};
+
+// Grafo union-find de um passo: variáveis do heap (círculos) e os construtores (caixas) alcançáveis
+// pelos ponteiros instance. Arestas 'instance' saem de uma variável; 'arg' ligam um construtor aos componentes.
+const buildUnionFind = (memory) => {
+    const nodes = new Map();
+    const edges = [];
+    memory.forEach(tv => nodes.set(tv.name, { id: tv.name, kind: 'var', label: tv.name, tv }));
+    const visit = (shape) => {
+        if (shape.var) {
+            if (!nodes.has(shape.var)) nodes.set(shape.var, { id: shape.var, kind: 'var', label: shape.var });
+            return shape.var;
+        }
+        const id = `#${shape.id}`;
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, kind: 'con', label: shape.label });
+            shape.args.forEach((a, i) => edges.push({ from: id, to: visit(a), kind: 'arg', index: i + 1, arity: shape.args.length }));
+        }
+        return id;
+    };
+    memory.forEach(tv => { if (tv.link) edges.push({ from: tv.name, to: visit(tv.link), kind: 'instance' }); });
+    return { nodes, edges };
+};
+
+const UF_DX = 70;
+const UF_DY = 80;
+const UF_PAD = 30;
+
+// Camadas: quem não aponta para nada fica no topo e cada nó fica uma camada abaixo do mais baixo dos seus alvos,
+// então as arestas sempre sobem. Dentro da camada, ordena pela posição média dos alvos.
+const layoutUnionFind = ({ nodes, edges }) => {
+    const targets = new Map([...nodes.keys()].map(id => [id, []]));
+    edges.forEach(e => targets.get(e.from).push(e.to));
+    const depth = new Map();
+    const depthOf = (id) => {
+        if (!depth.has(id)) depth.set(id, targets.get(id).reduce((d, to) => Math.max(d, depthOf(to) + 1), 0));
+        return depth.get(id);
+    };
+    const layers = [];
+    nodes.forEach((_, id) => {
+        const d = depthOf(id);
+        if (!layers[d]) layers[d] = [];
+        layers[d].push(id);
+    });
+    const widest = Math.max(1, ...layers.map(l => l.length));
+    const pos = new Map();
+    layers.forEach((ids, d) => {
+        if (d > 0) {
+            const mean = (id) => targets.get(id).reduce((sum, to) => sum + pos.get(to).x, 0) / targets.get(id).length;
+            ids.sort((a, b) => mean(a) - mean(b));
+        }
+        const offset = (widest - ids.length) / 2;
+        ids.forEach((id, i) => pos.set(id, { x: UF_PAD + (i + offset) * UF_DX, y: UF_PAD + d * UF_DY }));
+    });
+    return { pos, width: 2 * UF_PAD + (widest - 1) * UF_DX, height: 2 * UF_PAD + (layers.length - 1) * UF_DY };
+};
+
+// Segmento entre dois nós, encurtado para não entrar nos círculos/caixas
+const edgeLine = (a, b, gap = 18) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = Math.hypot(dx, dy) || 1;
+    return { x1: a.x + (dx / len) * gap, y1: a.y + (dy / len) * gap, x2: b.x - (dx / len) * gap, y2: b.y - (dy / len) * gap };
+};
+
+// O evento do passo (ligação nova ou ponteiro reescrito pela compressão) é desenhado com animação
+const UnionFindGraph = ({ memory, event, stepKey }) => {
+    const graph = buildUnionFind(memory);
+    const { pos, width, height } = layoutUnionFind(graph);
+    const isEvent = (e) => event && e.kind === 'instance' && e.from === event.var;
+    const skipped = event && event.kind === 'compress' && pos.get(event.skipped);
+
+    return (
+        <svg width={width} height={height} className="overflow-visible">
+            <defs>
+                {[['uf-arrow', '#64748b'], ['uf-arrow-bind', '#4ade80'], ['uf-arrow-compress', '#fb923c']].map(([id, color]) => (
+                    <marker key={id} id={id} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                        <path d="M0,0 L10,5 L0,10 z" fill={color} />
+                    </marker>
+                ))}
+            </defs>
+            {skipped && (
+                <line key={`ghost-${stepKey}`} {...edgeLine(pos.get(event.var), skipped)} className="uf-fade" stroke="#f87171" strokeWidth="2" strokeDasharray="4 4" />
+            )}
+            {graph.edges.map(e => {
+                const line = edgeLine(pos.get(e.from), pos.get(e.to));
+                const hot = isEvent(e) ? event.kind : null;
+                const color = hot === 'bind' ? '#4ade80' : hot === 'compress' ? '#fb923c' : e.kind === 'instance' ? '#94a3b8' : '#475569';
+                return (
+                    <g key={`${e.from}-${e.to}-${e.index || 0}${hot ? `-${stepKey}` : ''}`}>
+                        <line {...line} stroke={color} strokeWidth={hot ? 3 : e.kind === 'instance' ? 2 : 1}
+                            strokeDasharray={e.kind === 'arg' ? '3 3' : undefined} className={hot ? 'uf-draw' : undefined}
+                            markerEnd={`url(#${hot ? `uf-arrow-${hot}` : 'uf-arrow'})`} />
+                        {e.kind === 'arg' && e.arity > 1 && (
+                            <text x={line.x1 + (line.x2 - line.x1) * 0.3 + 4} y={line.y1 + (line.y2 - line.y1) * 0.3} fontSize="9" fill="#64748b">{e.index}</text>
+                        )}
+                    </g>
+                );
+            })}
+            {[...graph.nodes.values()].map(n => {
+                const { x, y } = pos.get(n.id);
+                const active = event && event.var === n.id;
+                const bound = n.tv && n.tv.link;
+                const details = n.tv ? [n.tv.val !== '?' && `= ${n.tv.val}`, n.tv.quantified && '∀', n.tv.origin && `cópia de ${n.tv.origin}`, n.tv.fixpoint && `rec ${n.tv.fixpoint}`, n.tv.classes && n.tv.classes.length > 0 && n.tv.classes.join(', ')].filter(Boolean).join(' · ') : '';
+                return (
+                    <g key={n.id} style={{ transform: `translate(${x}px, ${y}px)`, transition: 'transform 300ms ease' }}>
+                        <title>{`${n.label}${details ? ` ${details}` : ''}`}</title>
+                        {n.kind === 'var' ? (
+                            <circle r="16" fill={active ? 'rgba(234,179,8,0.25)' : '#020617'} stroke={bound ? '#a16207' : '#eab308'} strokeWidth={bound ? 1 : 2} />
+                        ) : (
+                            <rect x={-(n.label.length * 4 + 10)} y="-11" width={n.label.length * 8 + 20} height="22" rx="4" fill="#0f172a" stroke="#38bdf8" />
+                        )}
+                        <text textAnchor="middle" dominantBaseline="central" fontSize="11" fontWeight="bold" fill={n.kind === 'var' ? '#eab308' : '#7dd3fc'}>{n.label}</text>
+                        {n.tv && n.tv.classes && n.tv.classes.length > 0 && (
+                            <text y="28" textAnchor="middle" fontSize="9" fill="#f0abfc">{n.tv.classes.join(', ')}</text>
+                        )}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+const downloadText = (filename, text, mime) => {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
+const EXPORTS = [
+    { id: 'latex', label: 'LaTeX (bussproofs)', file: 'derivacao.tex', mime: 'application/x-tex', render: (result) => toLatex(result) },
+    { id: 'md', label: 'Markdown', file: 'trace.md', mime: 'text/markdown', render: (result) => toMarkdown(result) },
+    { id: 'json', label: 'JSON (reimportável)', file: 'trace.json', mime: 'application/json', render: (result, currentStep) => JSON.stringify(resultToJSON(result, { currentStep }), null, 2) },
+];
+
+// Menu de exportação do último resultado e importação de um trace JSON
+const ExportMenu = ({ result, currentStep, onImport }) => {
+    const [open, setOpen] = useState(false);
+    const fileRef = useRef(null);
+    return (
+        <div className="relative flex gap-1">
+            <button onClick={() => setOpen(o => !o)} disabled={!result} title="Exportar" className="p-1 bg-slate-800 rounded disabled:opacity-30"><Download className="w-3 h-3"/></button>
+            <button onClick={() => fileRef.current.click()} title="Importar trace JSON" className="p-1 bg-slate-800 rounded"><Upload className="w-3 h-3"/></button>
+            <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={(e) => { if (e.target.files[0]) onImport(e.target.files[0]); e.target.value = ''; }} />
+            {open && result && (
+                <div className="absolute right-0 top-6 z-20 bg-slate-900 border border-slate-700 rounded shadow-lg flex flex-col min-w-max">
+                    {EXPORTS.map(ex => (
+                        <button key={ex.id} disabled={ex.id === 'latex' && !result.ast} onClick={() => { downloadText(ex.file, ex.render(result, currentStep), ex.mime); setOpen(false); }} className="px-3 py-1 text-xs text-left font-normal text-slate-300 hover:bg-slate-800 disabled:opacity-30">
+                            {ex.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Cenários salvos pelo usuário: carregar, salvar o código atual, remover, importar/exportar.
+// O resultado esperado vem preenchido com o da última análise (não durante um exercício: seria a resposta).
+const LibraryPanel = ({ library, active, result, onLoad, onSave, onDelete, onImport }) => {
+    const fileRef = useRef(null);
+    const current = active && active.expected ? active.expected
+        : result ? (result.error ? { error: result.error.message } : { type: toSignature(showQualified(result.type)) }) : null;
+    const [name, setName] = useState(active ? active.name : '');
+    const [description, setDescription] = useState(active ? active.description || '' : '');
+    const [expectKind, setExpectKind] = useState(current ? (current.error !== undefined ? 'error' : 'type') : 'none');
+    const [expectText, setExpectText] = useState(current ? current.error ?? current.type : '');
+    const [problem, setProblem] = useState(null);
+
+    const save = () => {
+        if (!name.trim()) { setProblem('Dê um nome ao cenário'); return; }
+        if (expectKind === 'type') {
+            try { parseTypeSig(expectText); }
+            catch (e) { setProblem(e.message); return; }
+        }
+        const expected = expectKind === 'type' ? { type: expectText } : expectKind === 'error' ? { error: expectText } : null;
+        setProblem(null);
+        onSave({ name: name.trim(), description: description.trim(), expected });
+    };
+
+    return (
+        <div className="absolute right-0 top-9 z-30 w-96 bg-slate-900 border border-slate-700 rounded shadow-2xl p-3 flex flex-col gap-2 text-xs">
+            <div className="font-bold text-blue-400">Meus cenários</div>
+            <div className="max-h-48 overflow-y-auto custom-scrollbar space-y-1">
+                {library.length === 0 && <div className="text-slate-600 italic">Nenhum cenário salvo</div>}
+                {library.map(entry => (
+                    <div key={entry.name} className={`flex items-center gap-2 p-1 rounded ${active && active.name === entry.name ? 'bg-slate-800' : ''}`}>
+                        <button onClick={() => onLoad(entry)} title={entry.code} className="flex-1 text-left hover:text-blue-300">
+                            <div className="font-bold">{entry.name}</div>
+                            {entry.description && <div className="text-slate-500">{entry.description}</div>}
+                        </button>
+                        <button onClick={() => onDelete(entry.name)} title="Remover" className="p-1 text-slate-500 hover:text-red-400"><Trash2 className="w-3 h-3"/></button>
+                    </div>
+                ))}
+            </div>
+            <div className="border-t border-slate-800 pt-2 flex flex-col gap-1">
+                <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Nome" className="bg-slate-950 border border-slate-700 rounded px-2 py-1" />
+                <input value={description} onChange={(e) => setDescription(e.target.value)} placeholder="Descrição (opcional)" className="bg-slate-950 border border-slate-700 rounded px-2 py-1" />
+                <div className="flex gap-1">
+                    <select value={expectKind} onChange={(e) => setExpectKind(e.target.value)} className="bg-slate-950 border border-slate-700 rounded px-1">
+                        <option value="none">Sem esperado</option>
+                        <option value="type">Tipo esperado</option>
+                        <option value="error">Erro esperado</option>
+                    </select>
+                    <input value={expectText} onChange={(e) => setExpectText(e.target.value)} disabled={expectKind === 'none'} placeholder={expectKind === 'error' ? 'trecho da mensagem' : 'Eq a => a -> a -> Bool'} className="flex-1 bg-slate-950 border border-slate-700 rounded px-2 py-1 disabled:opacity-30" />
+                </div>
+                {problem && <div className="text-red-400">{problem}</div>}
+                <button onClick={save} className="bg-blue-600 hover:bg-blue-500 text-white rounded py-1 font-bold">Salvar código atual</button>
+            </div>
+            <div className="border-t border-slate-800 pt-2 flex gap-1">
+                <button onClick={() => downloadText('cenarios.json', JSON.stringify(libraryToJSON(library), null, 2), 'application/json')} disabled={library.length === 0} className="flex-1 flex items-center justify-center gap-1 bg-slate-800 rounded py-1 disabled:opacity-30"><Download className="w-3 h-3"/> Exportar</button>
+                <button onClick={() => fileRef.current.click()} className="flex-1 flex items-center justify-center gap-1 bg-slate-800 rounded py-1"><Upload className="w-3 h-3"/> Importar</button>
+                <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={(e) => { if (e.target.files[0]) onImport(e.target.files[0]); e.target.value = ''; }} />
+            </div>
+        </div>
+    );
+};
+
+// Exercício em andamento: a pergunta da tarefa atual, dicas, tentativas e, no fim, o resumo dos erros.
+// atGate: o trace chegou ao passo anterior ao da tarefa e só avança depois da resposta.
+const ExercisePanel = ({ exercise, atGate, onChange, onQuit }) => {
+    const [text, setText] = useState('');
+    const [wrong, setWrong] = useState(false);
+    const task = currentTask(exercise);
+    const { points, max, mistakes } = scoreOf(exercise);
+    const submit = () => {
+        if (!text.trim()) return;
+        const { exercise: next, correct } = answerTask(exercise, text);
+        setWrong(!correct);
+        if (correct) setText('');
+        onChange(next);
+    };
+    const reveal = () => { setText(''); setWrong(false); onChange(revealTask(exercise)); };
+
+    return (
+        <div className="bg-slate-900 border border-emerald-700 rounded p-2 flex flex-col gap-1 text-xs">
+            <div className="flex justify-between items-center font-bold text-emerald-400">
+                <span className="flex items-center gap-1"><GraduationCap className="w-3 h-3"/> Exercício ({EXERCISE_KINDS.find(k => k.id === exercise.kind).label})</span>
+                <span>{points}/{max} pts</span>
+            </div>
+            {task ? (
+                <>
+                    <div className="text-slate-300">
+                        {task.kind === 'bind'
+                            ? `Tarefa ${exercise.index + 1}/${exercise.tasks.length}: qual a próxima ligação (UNIFICAR, passo ${task.step + 1})?`
+                            : `Tarefa ${exercise.index + 1}/${exercise.tasks.length}: qual o tipo final do programa? (ou "erro")`}
+                    </div>
+                    {!atGate && task.kind === 'bind' && <div className="text-slate-500 italic">Avance o trace até a pergunta ou responda já.</div>}
+                    <div className="flex gap-1">
+                        <input value={text} onChange={(e) => { setText(e.target.value); setWrong(false); }} onKeyDown={(e) => { if (e.key === 'Enter') submit(); }}
+                            placeholder={task.kind === 'bind' ? 'T3 = Int -> T4' : 'Eq a => a -> a -> Bool'}
+                            className={`flex-1 min-w-0 bg-slate-950 border rounded px-2 py-1 font-mono ${wrong ? 'border-red-500' : 'border-slate-700'}`} />
+                        <button onClick={submit} className="px-2 bg-emerald-700 hover:bg-emerald-600 text-white rounded font-bold">Responder</button>
+                    </div>
+                    {wrong && <div className="text-red-400">✗ Não é isso. Tente de novo, peça uma dica ou revele a resposta.</div>}
+                    {task.hints.slice(0, exercise.hintsShown).map((hint, i) => <div key={i} className="text-amber-300">💡 {hint}</div>)}
+                    <div className="flex gap-1">
+                        <button onClick={() => onChange(showHint(exercise))} disabled={exercise.hintsShown >= task.hints.length} className="flex-1 flex items-center justify-center gap-1 bg-slate-800 rounded py-1 disabled:opacity-30"><Lightbulb className="w-3 h-3"/> Dica</button>
+                        <button onClick={reveal} className="flex-1 bg-slate-800 rounded py-1">Revelar</button>
+                        <button onClick={onQuit} className="flex-1 bg-slate-800 rounded py-1">Sair</button>
+                    </div>
+                </>
+            ) : (
+                <>
+                    <div className="text-slate-300">Fim: {points} de {max} pontos. {mistakes.length === 0 ? 'Nenhum erro!' : `${mistakes.length} tarefa(s) com erro:`}</div>
+                    <div className="max-h-40 overflow-y-auto custom-scrollbar space-y-1">
+                        {mistakes.map((r, i) => (
+                            <div key={i} className="border-l-2 border-red-500 pl-2">
+                                <div className="text-slate-400">{r.task.kind === 'bind' ? `Passo ${r.task.step + 1}` : 'Tipo final'}: esperado <span className="text-green-400 font-mono">{r.task.answer}</span></div>
+                                {r.attempts.length > 0 && <div className="text-red-300 font-mono">{r.attempts.join(' · ')}</div>}
+                                <div className="text-slate-500">{r.correct ? `acertou depois de ${r.attempts.length} erro(s)` : 'resposta revelada'}{r.hints > 0 ? `, ${r.hints} dica(s)` : ''}</div>
+                            </div>
+                        ))}
+                    </div>
+                    <button onClick={onQuit} className="bg-slate-800 rounded py-1">Sair do exercício</button>
+                </>
+            )}
+        </div>
+    );
+};
+
+// Estado da execução no passo selecionado: a expressão inteira (substituição) ou as ligações visíveis (ambiente)
+const EVAL_EXPR_MAX = 2000;
+const EvalState = ({ step }) => {
+    if (step.expr) return <div className="text-xs font-mono text-green-300 whitespace-pre-wrap break-all">{showExpr(step.expr, EVAL_EXPR_MAX)}</div>;
+    if (!step.env) return <div className="text-slate-700 text-xs italic text-center">Sem ambiente neste passo</div>;
+    const bindings = envBindings(step.env);
+    if (bindings.length === 0) return <div className="text-slate-700 text-xs italic text-center">Ambiente vazio</div>;
+    return (
+        <div className="space-y-1">
+            {bindings.map(b => (
+                <div key={b.name} className="text-xs font-mono truncate" title={b.value}>
+                    <span className="text-yellow-500 font-bold">{b.name}</span>
+                    <span className="text-slate-500"> = </span>
+                    <span className="text-green-400">{b.value}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
 const SCENARIOS = [
     { id: 1, title: "1. Básico (+)", code: "fun x -> x + 1" },
     { id: 2, title: "2. Listas", code: "[1, 2]" },
     { id: 3, title: "3. Lista Genérica", code: "fun x -> [x]" },
     { id: 4, title: "4. Erro Lista", code: "[1, true]" },
-    { id: 5, title: "5. Polimorfismo", code: "fun x -> x" },
+    { id: 5, title: "5. Polimorfismo", code: "let id = fun x -> x in if id true then id 1 else 0" },
     { id: 6, title: "6. Occurs Check", code: "fun x -> x x" },
+    { id: 7, title: "7. Recursão", code: "let rec fact = fun n -> if n == 0 then 1 else n * fact (n - 1) in fact 5" },
+    { id: 8, title: "8. Prelúdio", code: "fun xs -> map (fun x -> x + 1) xs" },
+    { id: 9, title: "9. Prelúdio Próprio", code: "fun xs -> sum (tail xs)", prelude: { replace: { tail: "[a] -> [a]", sum: "[Int] -> Int" } } },
+    { id: 10, title: "10. Tuplas", code: "fun p -> (snd p, fst p)" },
+    { id: 11, title: "11. Case/Maybe", code: "data Maybe a = Nothing | Just a in fun m -> case m of Nothing -> 0 | Just x -> x + 1" },
+    { id: 12, title: "12. Case/Listas", code: "let rec len = fun xs -> case xs of [] -> 0 | _ :: t -> 1 + len t in len" },
+    { id: 13, title: "13. Classes", code: "let iguais = fun x -> fun y -> x == y in fun a -> fun b -> (iguais [a] [b], a + b)" },
+    { id: 14, title: "14. Sem Instância", code: "let inc = fun x -> x + 1 in inc == inc" },
+    { id: 15, title: "15. Haskell", code: "\\xs -> map (* 2) (filter (> 0) (-1 : xs))" },
+    { id: 16, title: "16. Interpretador", code: "data Expr = Lit Int | Add Expr Expr | Mul Expr Expr | Neg Expr | Equal Expr Expr | Cond Expr Expr Expr in\ndata Val = IntV Int | BoolV Bool | Erro in\nlet arith = \\op x y -> case (x, y) of (IntV a, IntV b) -> IntV (op a b) | _ -> Erro in\nlet rec eval = \\e -> case e of\n    Lit n -> IntV n\n  | Add a b -> arith (+) (eval a) (eval b)\n  | Mul a b -> arith (*) (eval a) (eval b)\n  | Neg a -> arith (-) (IntV 0) (eval a)\n  | Equal a b -> (case (eval a, eval b) of (IntV x, IntV y) -> BoolV (x == y) | _ -> Erro)\n  | Cond c t f -> (case eval c of BoolV true -> eval t | BoolV false -> eval f | _ -> Erro)\nin map eval [Add (Lit 1) (Mul (Lit 2) (Lit 3)), Cond (Equal (Lit 1) (Neg (Lit 1))) (Lit 0) (Lit 42)]" },
 ];
 
+const validMode = (mode) => (MODES.some(m => m.id === mode) ? mode : 'W');
+
 export default function App() {
-    const [code, setCode] = useState(SCENARIOS[0].code);
-    const [steps, setSteps] = useState([]);
-    const [currentStep, setCurrentStep] = useState(-1);
-    const [error, setError] = useState(null);
-    const [finalType, setFinalType] = useState(null);
-    const [astRoot, setAstRoot] = useState(null);
+    // Um permalink (#code=...&step=...) abre o visualizador já analisado e no passo indicado
+    const [link] = useState(() => decodePermalink(window.location.hash));
+    const [code, setCode] = useState(() => (link ? link.code : loadDraft() ?? SCENARIOS[0].code));
+    const [prelude, setPrelude] = useState(() => (link ? link.prelude : resolvePrelude(SCENARIOS[0])));
+    const [mode, setMode] = useState(() => validMode(link && link.mode));
+    // Modo de recuperação: segue após erros de tipo e lista todos
+    const [recover, setRecover] = useState(() => !!(link && link.recover));
+    // Resultado da última análise (runInference): AST, tipo final, erros, trace, restrições
+    const [result, setResult] = useState(() => (link ? runInference(link.code, { prelude: link.prelude, mode: validMode(link.mode), recover: link.recover }) : null));
+    const [errorIndex, setErrorIndex] = useState(0);
+    const [currentStep, setCurrentStep] = useState(() => (result ? Math.min(link.step ?? 0, result.steps.length - 1) : -1));
+    const [notice, setNotice] = useState(null);
+    const [library, setLibrary] = useState(loadLibrary);
+    const [activeEntry, setActiveEntry] = useState(null);
+    const [libraryOpen, setLibraryOpen] = useState(false);
+    // Painel central: árvore sintática ou grafo union-find das variáveis de tipo
+    const [view, setView] = useState('ast');
+    // Nós da AST abertos/recolhidos pelo usuário (valem para o resultado em que foram marcados) e zoom da árvore
+    const [fold, setFold] = useState(null);
+    const [zoom, setZoom] = useState(1);
+    // Trace mostrado no painel da esquerda: inferência ('types') ou execução ('eval');
+    // a execução vale só para o resultado em que foi feita
+    const [traceView, setTraceView] = useState('types');
+    const [strategy, setStrategy] = useState('substitution');
+    const [evaluation, setEvaluation] = useState(null);
+    const [evalStep, setEvalStep] = useState(0);
+    // Exercício (exercise.js) sobre o resultado em que foi começado: o trace só avança com as respostas
+    const [exercise, setExercise] = useState(null);
+
+    useEffect(() => { saveDraft(code); }, [code]);
+
+    // Link colado na mesma aba: só o hash muda, sem recarregar a página
+    useEffect(() => {
+        const onHashChange = () => {
+            const l = decodePermalink(window.location.hash);
+            if (!l) return;
+            const r = runInference(l.code, { prelude: l.prelude, mode: validMode(l.mode), recover: l.recover });
+            setCode(l.code);
+            setPrelude(l.prelude);
+            setMode(validMode(l.mode));
+            setRecover(l.recover);
+            setResult(r);
+            setErrorIndex(0);
+            setCurrentStep(Math.min(l.step ?? 0, r.steps.length - 1));
+            setActiveEntry(null);
+        };
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
 
     const runAnalysis = () => {
-        resetTypeVars();
-        setSteps([]);
-        setCurrentStep(-1);
-        setError(null);
-        setFinalType(null);
-        setAstRoot(null);
+        setResult(runInference(code, { prelude, mode, recover }));
+        setCurrentStep(0);
+        setErrorIndex(0);
+        setNotice(null);
+    };
 
-        const recordedSteps = [];
-        const trace = (msg, type, memory, nodeId) => recordedSteps.push({ msg, type, memory: memory || snapshotTypes(), nodeId });
+    const copyPermalink = () => {
+        const analyzed = result && result.code === code && result.mode === mode && result.recover === recover
+            && JSON.stringify(result.prelude) === JSON.stringify(prelude);
+        window.history.replaceState(null, '', encodePermalink({ code, mode, prelude, recover, step: analyzed ? currentStep : null }));
+        const url = window.location.href;
+        if (!navigator.clipboard) { setNotice(`Link: ${url}`); return; }
+        navigator.clipboard.writeText(url).then(() => setNotice('Link copiado'), () => setNotice(`Link: ${url}`));
+    };
 
+    const updateLibrary = (entries) => { setLibrary(entries); saveLibrary(entries); };
+    const loadEntry = (entry) => {
+        setCode(entry.code);
+        setPrelude(entry.prelude || PRELUDE);
+        setMode(validMode(entry.mode));
+        setActiveEntry(entry);
+        setLibraryOpen(false);
+    };
+    const saveEntry = (fields) => {
+        const entry = makeEntry({ ...fields, code, mode, prelude });
+        const exists = library.some(e => e.name === entry.name);
+        updateLibrary(upsertEntry(library, entry));
+        setActiveEntry(entry);
+        setNotice(`Cenário "${entry.name}" ${exists ? 'atualizado' : 'salvo'}`);
+    };
+    const deleteEntry = (name) => {
+        updateLibrary(library.filter(e => e.name !== name));
+        if (activeEntry && activeEntry.name === name) setActiveEntry(null);
+    };
+    const importLibrary = async (file) => {
         try {
-            const tokens = tokenize(code);
-            const parser = new Parser(tokens);
-            const ast = parser.parseExpression();
-            setAstRoot(ast);
+            const entries = parseLibraryJSON(await file.text());
+            updateLibrary(entries.reduce(upsertEntry, library));
+            setNotice(`${entries.length} cenário(s) importado(s)`);
+        } catch (e) {
+            setNotice(`Importação falhou: ${e.message}`);
+        }
+    };
 
-            const resultType = analyze({}, ast, trace);
-            setFinalType(prune(resultType).toString());
+    const importTrace = async (file) => {
+        try {
+            const { data, result: replayed, matches } = replayTrace(await file.text());
+            setCode(data.code);
+            setPrelude(data.prelude);
+            setMode(data.mode);
+            setRecover(replayed.recover);
+            setResult(replayed);
+            setErrorIndex(0);
+            setCurrentStep(Math.min(data.currentStep ?? 0, replayed.steps.length - 1));
+            setNotice(matches ? null : 'Aviso: o trace reexecutado difere do arquivo importado (versão diferente do motor?)');
         } catch (e) {
-            trace(`FALHA: ${e.message}`, 'error', snapshotTypes(), null);
-            setError(e.message);
+            setNotice(`Importação falhou: ${e.message}`);
         }
-        setSteps(recordedSteps);
+    };
+
+    const startExercise = (kind) => {
+        const r = runInference(code, { prelude, mode, recover });
+        setResult(r);
+        setExercise(createExercise(r, kind));
         setCurrentStep(0);
+        setErrorIndex(0);
+        setTraceView('types');
+        setNotice(null);
+    };
+    const activeExercise = exercise && exercise.result === result ? exercise : null;
+    // Enquanto o exercício não termina, o trace para antes da próxima tarefa e as respostas ficam escondidas
+    const quiz = activeExercise && !isFinished(activeExercise) ? activeExercise : null;
+    const stepLimit = quiz ? visibleLimit(quiz) : Infinity;
+    const updateExercise = (next) => {
+        const task = currentTask(activeExercise);
+        setExercise(next);
+        // Tarefa encerrada (certa ou revelada): o trace vai até o passo dela
+        if (next.index > activeExercise.index) setCurrentStep(task.step);
     };
 
-    const nextStep = () => setCurrentStep(p => Math.min(p + 1, steps.length - 1));
-    const prevStep = () => setCurrentStep(p => Math.max(p - 1, 0));
+    const steps = result ? result.steps : [];
+    const astRoot = result ? result.ast : null;
+    const finalType = result && result.type && !quiz ? showQualified(result.type) : null;
+    const errors = result && !quiz ? result.errors : [];
+    const selectedError = errors[Math.min(errorIndex, errors.length - 1)] || null;
+    const error = selectedError ? selectedError.message : null;
+    const errorSpan = selectedError ? selectedError.span : null;
+    const analyzedCode = result ? result.code : null;
+    const explanation = selectedError ? explainError(selectedError, analyzedCode) : [];
+    const blame = blameNodes(selectedError);
+    const blamed = new Set(blame.map(b => b.nodeId));
+
+    // Só programas bem tipados são executados: a inferência é a garantia de que a execução não trava
+    const run = evaluation && evaluation.result === result ? evaluation.run : null;
+    const evalSteps = run ? run.steps : [];
+    const showEval = traceView === 'eval';
+    const runEvaluation = () => {
+        setEvaluation({ result, run: evaluate(result, { strategy }) });
+        setEvalStep(0);
+    };
+
+    const [logSteps, logStep, setLogStep] = showEval ? [evalSteps, evalStep, setEvalStep] : [steps, currentStep, setCurrentStep];
+    const logCount = showEval ? logSteps.length : Math.min(logSteps.length, stepLimit + 1);
+    const nextStep = () => setLogStep(p => Math.min(p + 1, logCount - 1));
+    const prevStep = () => setLogStep(p => Math.max(p - 1, 0));
 
     const getLogColor = (type) => {
         if (type === 'success') return 'text-green-400 font-bold';
         if (type === 'error') return 'text-red-500 font-bold bg-red-900/20 p-1 rounded';
         if (type === 'warn') return 'text-yellow-400';
         if (type === 'ast') return 'text-purple-400';
+        if (type === 'gen') return 'text-cyan-400 font-bold';
+        if (type === 'inst') return 'text-sky-300';
+        if (type === 'fix') return 'text-orange-400 font-bold';
+        if (type === 'constraint') return 'text-pink-300';
+        if (type === 'solve') return 'text-emerald-300';
+        if (type === 'class') return 'text-fuchsia-300';
+        if (type === 'compress') return 'text-orange-300';
         return 'text-slate-300';
     };
 
     const currentStepData = steps[currentStep] || {};
-    const currentMemory = currentStepData.memory || [];
-    const activeNodeId = currentStepData.nodeId;
+    const currentMemory = useMemo(() => (result ? memoryAt(result.steps, currentStep) : []), [result, currentStep]);
+    const evalStepData = (showEval && evalSteps[evalStep]) || null;
+    // Na execução, a árvore mostra os tipos finais e destaca o nó que está sendo reduzido
+    const activeNodeId = evalStepData ? evalStepData.nodeId : currentStepData.nodeId;
+    const astTick = evalStepData ? steps[steps.length - 1].tick : currentStepData.tick;
+
+    // Árvores grandes abrem só até AST_FOLD_DEPTH; o caminho até o nó ativo e aos culpados pelo erro fica sempre aberto
+    const astSize = useMemo(() => countNodes(astRoot), [astRoot]);
+    const blamedKey = [...blamed].join();
+    const openPath = useMemo(() => ancestorsOf(astRoot, [activeNodeId, ...blamedKey.split(',')]), [astRoot, activeNodeId, blamedKey]);
+    const astFold = fold && fold.result === result ? fold : { result, depth: astSize > AST_LARGE ? AST_FOLD_DEPTH : Infinity, toggled: new Set() };
+    const foldControl = {
+        isOpen: (node, depth) => openPath.has(node.uid) || (depth < astFold.depth) !== astFold.toggled.has(node.uid),
+        toggle: (uid) => {
+            const toggled = new Set(astFold.toggled);
+            if (!toggled.delete(uid)) toggled.add(uid);
+            setFold({ ...astFold, toggled });
+        },
+    };
+
+    // Destaques só valem enquanto o texto for o mesmo que foi analisado
+    const showSpans = analyzedCode === code;
+    const activeNode = showSpans ? findNode(astRoot, activeNodeId) : null;
+    const activeSpan = activeNode && activeNode.start !== null ? { start: activeNode.start, end: activeNode.end } : null;
+    const errorPos = errorSpan ? lineCol(analyzedCode || '', errorSpan.start) : null;
+    const expected = activeEntry && activeEntry.expected && result && analyzedCode === activeEntry.code ? activeEntry.expected : null;
+    const expectedOk = expected && checkExpected(expected, result);
 
     return (
         <div className="flex flex-col h-screen bg-slate-950 text-slate-100 p-4 font-mono overflow-hidden">
@@ -317,6 +728,10 @@ export default function App() {
         .custom-scrollbar::-webkit-scrollbar { width: 6px; }
         .custom-scrollbar::-webkit-scrollbar-track { background: #0f172a; }
         .custom-scrollbar::-webkit-scrollbar-thumb { background: #334155; border-radius: 3px; }
+        .uf-draw { stroke-dasharray: 300; animation: uf-draw 600ms ease-out; }
+        .uf-fade { animation: uf-fade 900ms ease-in forwards; }
+        @keyframes uf-draw { from { stroke-dashoffset: 300; } to { stroke-dashoffset: 0; } }
+        @keyframes uf-fade { from { opacity: 1; } to { opacity: 0.15; } }
       `}</style>
 
             <header className="mb-4 pb-2 border-b border-slate-800 flex justify-between items-center shrink-0">
@@ -328,10 +743,19 @@ export default function App() {
                 </div>
                 <div className="flex gap-2">
                     {SCENARIOS.map(s => (
-                        <button key={s.id} onClick={() => setCode(s.code)} className="px-3 py-1 text-xs bg-slate-800 hover:bg-slate-700 rounded border border-slate-700 transition">
+                        <button key={s.id} onClick={() => { setCode(s.code); setPrelude(resolvePrelude(s)); setActiveEntry(null); }} className="px-3 py-1 text-xs bg-slate-800 hover:bg-slate-700 rounded border border-slate-700 transition">
                             {s.title}
                         </button>
                     ))}
+                    <div className="relative">
+                        <button onClick={() => setLibraryOpen(o => !o)} className={`px-3 py-1 text-xs rounded border transition flex items-center gap-1 ${libraryOpen ? 'bg-slate-700 border-blue-500 text-blue-300' : 'bg-slate-800 hover:bg-slate-700 border-slate-700'}`}>
+                            <Library className="w-3 h-3"/> Biblioteca ({library.length})
+                        </button>
+                        {libraryOpen && (
+                            <LibraryPanel library={library} active={activeEntry} result={result && result.code === code && !quiz ? result : null}
+                                onLoad={loadEntry} onSave={saveEntry} onDelete={deleteEntry} onImport={importLibrary} />
+                        )}
+                    </div>
                 </div>
             </header>
 
@@ -342,52 +766,140 @@ export default function App() {
                     <div className="flex-1 flex flex-col gap-2">
                         <div className="bg-slate-900 border border-slate-700 p-2 rounded flex-none">
                             <div className="text-xs text-blue-400 font-bold mb-1">Código Fonte</div>
-                            <textarea
+                            <CodeEditor
                                 value={code} onChange={(e) => setCode(e.target.value)}
-                                className="w-full h-24 bg-transparent outline-none text-sm resize-none font-fira"
-                                spellCheck="false"
+                                errorSpan={showSpans ? errorSpan : null} activeSpan={activeSpan}
+                                blameSpans={showSpans ? blame.map(b => b.span) : []}
                             />
                         </div>
+                        <div className="flex gap-1">
+                            {MODES.map(m => (
+                                <button key={m.id} onClick={() => setMode(m.id)} className={`flex-1 px-2 py-1 text-xs rounded border transition ${mode === m.id ? 'bg-slate-700 border-blue-500 text-blue-300' : 'bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700'}`}>
+                                    {m.label}
+                                </button>
+                            ))}
+                        </div>
+                        <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer" title="Continua após erros de tipo (a expressão com erro vira ⊥) e lista todos os erros independentes">
+                            <input type="checkbox" checked={recover} onChange={(e) => setRecover(e.target.checked)} className="accent-blue-500" />
+                            Listar todos os erros
+                        </label>
                         <button onClick={runAnalysis} className="bg-blue-600 hover:bg-blue-500 text-white py-2 rounded font-bold shadow flex justify-center items-center gap-2 text-sm">
-                            <Play className="w-4 h-4" /> Compilar (Algorithm W)
+                            <Play className="w-4 h-4" /> Compilar ({MODES.find(m => m.id === mode).label})
+                        </button>
+                        <button onClick={copyPermalink} title="Copia um link com o código e o passo selecionado" className="bg-slate-800 hover:bg-slate-700 text-slate-300 py-1 rounded border border-slate-700 flex justify-center items-center gap-2 text-xs">
+                            <Link className="w-3 h-3" /> Copiar link
                         </button>
+                        {activeEntry && <div className="text-xs text-slate-400">Cenário: <span className="text-blue-300">{activeEntry.name}</span>{activeEntry.description && ` — ${activeEntry.description}`}</div>}
+                        {notice && <div className="text-xs text-amber-300 break-all">{notice}</div>}
+                        {activeExercise ? (
+                            <ExercisePanel exercise={activeExercise} atGate={currentStep >= stepLimit} onChange={updateExercise} onQuit={() => setExercise(null)} />
+                        ) : (
+                            <div className="flex gap-1 items-center text-xs" title="Compila e esconde o resultado: prevê o tipo final ou cada ligação antes de ela aparecer">
+                                <GraduationCap className="w-3 h-3 text-emerald-400" />
+                                {EXERCISE_KINDS.map(k => (
+                                    <button key={k.id} onClick={() => startExercise(k.id)} className="flex-1 px-2 py-1 rounded border border-slate-700 bg-slate-800 text-slate-400 hover:bg-slate-700">
+                                        {k.label}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
                     </div>
 
                     <div className="flex-[2] bg-slate-900 rounded border border-slate-800 flex flex-col overflow-hidden">
                         <div className="bg-slate-950 p-2 text-xs font-bold text-slate-500 border-b border-slate-800 flex justify-between">
-                            <span>TRACE DE EXECUÇÃO</span>
-                            <span className="text-slate-400">{steps.length > 0 ? `${currentStep + 1}/${steps.length}` : "0/0"}</span>
-                        </div>
-                        <div className="flex-1 overflow-y-auto p-2 space-y-1 custom-scrollbar">
-                            {steps.map((step, idx) => (
-                                <div key={idx} className={`text-xs border-l-2 pl-2 py-0.5 ${idx === currentStep ? 'border-yellow-500 bg-yellow-500/10' : 'border-transparent opacity-50'}`}>
-                                    <span className={getLogColor(step.type)}>{step.msg}</span>
-                                </div>
-                            ))}
+                            <span className="flex gap-2">
+                                {[['types', 'TIPOS'], ['eval', 'EXECUÇÃO']].map(([id, label]) => (
+                                    <button key={id} onClick={() => setTraceView(id)} className={traceView === id ? 'text-blue-300' : 'hover:text-slate-300'}>{label}</button>
+                                ))}
+                            </span>
+                            <span className="flex items-center gap-2">
+                                {!showEval && !quiz && <ExportMenu result={result} currentStep={currentStep} onImport={importTrace} />}
+                                <span className="text-slate-400">{logSteps.length > 0 ? `${logStep + 1}/${logSteps.length}` : "0/0"}</span>
+                            </span>
                         </div>
+                        {showEval && (
+                            <div className="p-2 flex gap-1 border-b border-slate-800">
+                                {EVAL_STRATEGIES.map(s => (
+                                    <button key={s.id} onClick={() => setStrategy(s.id)} className={`flex-1 px-2 py-1 text-xs rounded border transition ${strategy === s.id ? 'bg-slate-700 border-blue-500 text-blue-300' : 'bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-700'}`}>
+                                        {s.label}
+                                    </button>
+                                ))}
+                                <button onClick={runEvaluation} disabled={!result || !result.type || !!quiz} title={result && !result.type && !quiz ? 'Programas mal tipados não são executados' : 'Executa o programa analisado passo a passo'} className="px-2 py-1 text-xs rounded bg-emerald-700 hover:bg-emerald-600 text-white font-bold flex items-center gap-1 disabled:opacity-30">
+                                    <Cpu className="w-3 h-3" /> Executar
+                                </button>
+                            </div>
+                        )}
+                        {showEval && result && !result.type && !quiz && <div className="p-2 text-xs text-red-300 italic">Programa mal tipado: não é executado.</div>}
+                        <VirtualList count={logCount} rowHeight={22} scrollTo={logStep} className="flex-1 min-h-0 p-2" renderRow={(idx) => (
+                            <div onClick={() => setLogStep(idx)} title={logSteps[idx].msg} className={`text-xs border-l-2 pl-2 py-0.5 truncate cursor-pointer ${idx === logStep ? 'border-yellow-500 bg-yellow-500/10' : 'border-transparent opacity-50 hover:opacity-80'}`}>
+                                <span className={getLogColor(logSteps[idx].type)}>{logSteps[idx].msg}</span>
+                            </div>
+                        )} />
                         <div className="p-2 bg-slate-950 flex gap-2 justify-center border-t border-slate-800">
-                            <button onClick={prevStep} disabled={currentStep <= 0} className="p-1 bg-slate-800 rounded disabled:opacity-30"><ArrowLeft className="w-4 h-4"/></button>
-                            <button onClick={nextStep} disabled={currentStep >= steps.length - 1} className="p-1 bg-slate-800 rounded disabled:opacity-30"><ArrowRight className="w-4 h-4"/></button>
+                            <button onClick={prevStep} disabled={logStep <= 0} className="p-1 bg-slate-800 rounded disabled:opacity-30"><ArrowLeft className="w-4 h-4"/></button>
+                            <button onClick={nextStep} disabled={logStep >= logCount - 1} className="p-1 bg-slate-800 rounded disabled:opacity-30"><ArrowRight className="w-4 h-4"/></button>
                         </div>
                     </div>
                 </div>
 
                 {/* COLUNA 2: ÁRVORE VISUAL (6 colunas) */}
                 <div className="col-span-7 bg-slate-900 rounded-xl border border-slate-800 shadow-2xl overflow-hidden flex flex-col relative">
-                    <div className="absolute top-2 left-2 z-10 bg-slate-950/80 px-2 py-1 rounded text-xs font-bold text-slate-500 flex gap-2 border border-slate-800">
-                        <Network className="w-3 h-3" /> Árvore Sintática (AST)
+                    <div className="absolute top-2 left-2 z-10 flex gap-1">
+                        {[['ast', Network, 'Árvore Sintática (AST)'], ['uf', GitMerge, 'Union-Find']].map(([id, Icon, label]) => (
+                            <button key={id} onClick={() => setView(id)} className={`bg-slate-950/80 px-2 py-1 rounded text-xs font-bold flex gap-2 border ${view === id ? 'border-blue-500 text-blue-300' : 'border-slate-800 text-slate-500 hover:text-slate-300'}`}>
+                                <Icon className="w-3 h-3" /> {label}
+                            </button>
+                        ))}
                     </div>
-                    <div className="flex-1 flex items-center justify-center overflow-auto p-8 custom-scrollbar bg-[radial-gradient(#1e293b_1px,transparent_1px)] [background-size:16px_16px]">
-                        {astRoot ? (
-                            <ASTNode node={astRoot} activeNodeId={activeNodeId} />
+                    {view === 'ast' && astRoot && (
+                        <div className="absolute top-2 right-2 z-10 flex gap-1 text-xs">
+                            <button onClick={() => setFold({ result, depth: Infinity, toggled: new Set() })} title="Expandir todos os nós" className="bg-slate-950/80 p-1 rounded border border-slate-800 text-slate-400 hover:text-slate-200"><Maximize2 className="w-3 h-3" /></button>
+                            <button onClick={() => setFold({ result, depth: 1, toggled: new Set() })} title="Recolher todos os nós" className="bg-slate-950/80 p-1 rounded border border-slate-800 text-slate-400 hover:text-slate-200"><Minimize2 className="w-3 h-3" /></button>
+                            <button onClick={() => setZoom(z => Math.max(0.25, z - 0.25))} title="Diminuir zoom" className="bg-slate-950/80 p-1 rounded border border-slate-800 text-slate-400 hover:text-slate-200"><ZoomOut className="w-3 h-3" /></button>
+                            <button onClick={() => setZoom(1)} title="Zoom original" className="bg-slate-950/80 px-1 rounded border border-slate-800 text-slate-400 hover:text-slate-200 w-12">{Math.round(zoom * 100)}%</button>
+                            <button onClick={() => setZoom(z => Math.min(2, z + 0.25))} title="Aumentar zoom" className="bg-slate-950/80 p-1 rounded border border-slate-800 text-slate-400 hover:text-slate-200"><ZoomIn className="w-3 h-3" /></button>
+                        </div>
+                    )}
+                    {/* m-auto em vez de justify-center: centraliza sem cortar a parte de uma árvore larga que sai pela esquerda */}
+                    <div className="flex-1 flex overflow-auto p-8 custom-scrollbar bg-[radial-gradient(#1e293b_1px,transparent_1px)] [background-size:16px_16px]">
+                        <div className="m-auto">
+                        {view === 'uf' && steps.length > 0 && currentMemory.length > 0 ? (
+                            <UnionFindGraph memory={currentMemory} event={currentStepData.event} stepKey={currentStep} />
+                        ) : view === 'uf' && steps.length > 0 ? (
+                            <div className="text-slate-700 italic">Heap vazio neste passo</div>
+                        ) : view === 'ast' && astRoot ? (
+                            <Zoomed scale={zoom}>
+                                <ASTNode node={astRoot} activeNodeId={activeNodeId} types={result.nodeTypes} tick={astTick} blamed={blamed} fold={foldControl} />
+                            </Zoomed>
                         ) : (
                             <div className="text-slate-700 italic">Aguardando análise...</div>
                         )}
+                        </div>
                     </div>
                     {(finalType || error) && (
-                        <div className={`absolute bottom-4 right-4 p-3 rounded border shadow-lg ${error ? 'bg-red-900/90 border-red-500 text-red-200' : 'bg-green-900/90 border-green-500 text-green-200'}`}>
-                            <div className="text-xs font-bold uppercase mb-1">{error ? 'Erro' : 'Sucesso'}</div>
+                        <div className={`absolute bottom-4 right-4 max-w-[70%] max-h-[60%] overflow-y-auto custom-scrollbar p-3 rounded border shadow-lg ${error ? 'bg-red-900/90 border-red-500 text-red-200' : 'bg-green-900/90 border-green-500 text-green-200'}`}>
+                            <div className="text-xs font-bold uppercase mb-1 flex items-center gap-2">
+                                {error ? (errors.length > 1 ? `Erro ${errors.indexOf(selectedError) + 1}/${errors.length}` : 'Erro') : 'Sucesso'}
+                                {errors.length > 1 && (
+                                    <span className="flex gap-1">
+                                        <button onClick={() => setErrorIndex(errors.indexOf(selectedError) - 1)} disabled={errors.indexOf(selectedError) <= 0} className="px-1 bg-red-950 rounded disabled:opacity-30"><ArrowLeft className="w-3 h-3"/></button>
+                                        <button onClick={() => setErrorIndex(errors.indexOf(selectedError) + 1)} disabled={errors.indexOf(selectedError) >= errors.length - 1} className="px-1 bg-red-950 rounded disabled:opacity-30"><ArrowRight className="w-3 h-3"/></button>
+                                    </span>
+                                )}
+                            </div>
                             <div className="font-mono font-bold text-lg">{error || finalType}</div>
+                            {run && (run.error
+                                ? <div className="text-xs mt-1 font-bold text-red-300">Erro em execução: {run.error.message}</div>
+                                : <div className="font-mono text-sm mt-1 break-all" title={run.value}>= {run.value.length > 200 ? `${run.value.slice(0, 200)}…` : run.value}</div>)}
+                            {errorPos && <div className="text-xs opacity-80 mt-1">linha {errorPos.line}, coluna {errorPos.col}</div>}
+                            {explanation.length > 0 && (
+                                <div className="text-xs mt-2 pt-2 border-t border-red-500/40 text-orange-200 whitespace-pre-wrap">{explanation.join('\n')}</div>
+                            )}
+                            {expected && (
+                                <div className={`text-xs mt-1 font-bold ${expectedOk ? 'text-green-300' : 'text-amber-300'}`}>
+                                    {expectedOk ? '✓' : '✗'} esperado: {expected.error !== undefined ? `erro "${expected.error}"` : expected.type}
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
@@ -396,21 +908,52 @@ export default function App() {
                 <div className="col-span-2 flex flex-col bg-slate-900 rounded-xl border border-slate-800 overflow-hidden">
                     <div className="bg-slate-950 p-2 border-b border-slate-800">
             <span className="text-xs font-bold text-slate-500 uppercase tracking-widest flex items-center gap-2">
-              <Database className="w-3 h-3"/> Memória (Heap)
+              {evalStepData ? <><Cpu className="w-3 h-3"/> {run.strategy === 'environment' ? 'Ambiente' : 'Expressão'}</> : <><Database className="w-3 h-3"/> Memória (Heap)</>}
             </span>
                     </div>
-                    <div className="flex-1 p-2 overflow-y-auto custom-scrollbar">
-                        <div className="space-y-2">
-                            {currentMemory.length === 0 && <div className="text-slate-700 text-xs italic text-center mt-10">Vazia</div>}
-                            {currentMemory.map((tv) => (
-                                <div key={tv.name} className="flex flex-col bg-slate-950 p-2 rounded border border-slate-800">
-                                    <span className="text-yellow-500 font-bold font-mono text-xs mb-1">{tv.name}</span>
-                                    <span className={`font-mono text-sm font-bold text-right ${tv.val === '?' ? 'text-slate-600' : 'text-green-400'}`}>
+                    {evalStepData && <div className="flex-1 min-h-0 p-2 overflow-y-auto custom-scrollbar"><EvalState step={evalStepData} /></div>}
+                    {!evalStepData && currentMemory.length === 0 && <div className="flex-1 text-slate-700 text-xs italic text-center mt-10">Vazia</div>}
+                    {!evalStepData && currentMemory.length > 0 && (
+                        <VirtualList count={currentMemory.length} rowHeight={66} className="flex-1 min-h-0 p-2" renderRow={(i) => {
+                            const tv = currentMemory[i];
+                            return (
+                                <div className="flex flex-col bg-slate-950 p-2 rounded border border-slate-800">
+                                    <span className="text-yellow-500 font-bold font-mono text-xs mb-1 flex justify-between">
+                                        {tv.name}
+                                        {tv.quantified && <span className="text-cyan-400">∀</span>}
+                                        {tv.origin && <span className="text-sky-300 font-normal">cópia de {tv.origin}</span>}
+                                        {tv.fixpoint && <span className="text-orange-400 font-normal">rec {tv.fixpoint}</span>}
+                                        {tv.classes && tv.classes.length > 0 && <span className="text-fuchsia-300 font-normal">{tv.classes.join(', ')}</span>}
+                                    </span>
+                                    <span title={tv.val} className={`font-mono text-sm font-bold text-right truncate ${tv.val === '?' ? 'text-slate-600' : 'text-green-400'}`}>
                     {tv.val}
                   </span>
                                 </div>
-                            ))}
-                        </div>
+                            );
+                        }} />
+                    )}
+                    <div className="bg-slate-950 p-2 border-y border-slate-800">
+            <span className="text-xs font-bold text-slate-500 uppercase tracking-widest flex items-center gap-2">
+              <ListChecks className="w-3 h-3"/> Restrições
+            </span>
+                    </div>
+                    <div className="flex-1 min-h-0 p-2">
+                        <ConstraintList constraints={result ? result.constraints : []} tick={currentStepData.tick} />
+                    </div>
+                    <div className="bg-slate-950 p-2 border-y border-slate-800">
+            <span className="text-xs font-bold text-slate-500 uppercase tracking-widest flex items-center gap-2">
+              <BookOpen className="w-3 h-3"/> Prelúdio
+            </span>
+                    </div>
+                    <div className="flex-none max-h-56 p-2 overflow-y-auto custom-scrollbar space-y-1">
+                        {Object.keys(prelude).length === 0 && <div className="text-slate-700 text-xs italic text-center">Vazio</div>}
+                        {Object.entries(prelude).map(([name, sig]) => (
+                            <div key={name} className="text-xs font-mono">
+                                <span className="text-blue-400 font-bold">{name}</span>
+                                <span className="text-slate-500"> :: </span>
+                                <span className="text-slate-300">{sig}</span>
+                            </div>
+                        ))}
                     </div>
                 </div>
 
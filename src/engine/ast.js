@@ -0,0 +1,57 @@
+// AST: expressões e padrões
+
+// uid é atribuído por numberNodes depois do parse, na ordem em que os nós aparecem (pré-ordem),
+// então o mesmo programa tem sempre os mesmos ids (permalinks, traces exportados)
+export class Expr {
+    constructor() { this.uid = null; this.start = null; this.end = null; }
+    at(start, end) { this.start = start; this.end = end; return this; }
+}
+export class EInt extends Expr { constructor(val) { super(); this.val = val; } toString() { return `Int(${this.val})`; } children() { return []; } }
+export class EBool extends Expr { constructor(val) { super(); this.val = val; } toString() { return `Bool(${this.val})`; } children() { return []; } }
+export class EVar extends Expr { constructor(name) { super(); this.name = name; } toString() { return `Var(${this.name})`; } children() { return []; } }
+export class ENeg extends Expr { constructor(arg) { super(); this.arg = arg; } toString() { return `Neg`; } children() { return [this.arg]; } }
+export class EBinOp extends Expr { constructor(op, left, right) { super(); this.op = op; this.left = left; this.right = right; } toString() { return `Op(${this.op})`; } children() { return [this.left, this.right]; } }
+export class EIf extends Expr { constructor(cond, thenBr, elseBr) { super(); this.cond = cond; this.thenBr = thenBr; this.elseBr = elseBr; } toString() { return `If`; } children() { return [this.cond, this.thenBr, this.elseBr]; } }
+export class EFun extends Expr { constructor(param, body) { super(); this.param = param; this.body = body; } toString() { return `Fun(${this.param})`; } children() { return [this.body]; } }
+export class ELet extends Expr { constructor(name, val, body) { super(); this.name = name; this.val = val; this.body = body; } toString() { return `Let(${this.name})`; } children() { return [this.val, this.body]; } }
+export class ELetRec extends Expr { constructor(name, val, body) { super(); this.name = name; this.val = val; this.body = body; } toString() { return `LetRec(${this.name})`; } children() { return [this.val, this.body]; } }
+export class EApp extends Expr { constructor(func, arg) { super(); this.func = func; this.arg = arg; } toString() { return `App`; } children() { return [this.func, this.arg]; } }
+export class EList extends Expr { constructor(head, tail) { super(); this.head = head; this.tail = tail; } toString() { return `List`; } children() { return this.tail ? [this.head, this.tail] : [this.head]; } }
+export class EEmptyList extends Expr { toString() { return `[]`; } children() { return []; } }
+export class ETuple extends Expr { constructor(elems) { super(); this.elems = elems; } toString() { return `Tuple(${this.elems.length})`; } children() { return this.elems; } }
+export class EData extends Expr { constructor(name, params, ctors, body) { super(); this.name = name; this.params = params; this.ctors = ctors; this.body = body; } toString() { return `Data(${this.name})`; } children() { return [this.body]; } }
+export class ECase extends Expr { constructor(scrutinee, alts) { super(); this.scrutinee = scrutinee; this.alts = alts; } toString() { return `Case`; } children() { return [this.scrutinee, ...this.alts]; } }
+export class EAlt extends Expr { constructor(pat, body) { super(); this.pat = pat; this.body = body; } toString() { return `Alt`; } children() { return [this.pat, this.body]; } }
+
+// Padrões (lado esquerdo dos ramos de um case)
+export class Pattern extends Expr {}
+export class PVar extends Pattern { constructor(name) { super(); this.name = name; } toString() { return `PVar(${this.name})`; } children() { return []; } }
+export class PWild extends Pattern { toString() { return `PWild`; } children() { return []; } }
+export class PLit extends Pattern { constructor(val) { super(); this.val = val; } toString() { return `PLit(${this.val})`; } children() { return []; } }
+export class PTuple extends Pattern { constructor(elems) { super(); this.elems = elems; } toString() { return `PTuple(${this.elems.length})`; } children() { return this.elems; } }
+export class PNil extends Pattern { toString() { return `P[]`; } children() { return []; } }
+export class PCons extends Pattern { constructor(head, tail) { super(); this.head = head; this.tail = tail; } toString() { return `P(::)`; } children() { return [this.head, this.tail]; } }
+export class PCon extends Pattern { constructor(name, args) { super(); this.name = name; this.args = args; } toString() { return `PCon(${this.name})`; } children() { return this.args; } }
+
+// Iterativo: listas longas geram árvores muito profundas. prefix separa árvores analisadas à parte (o prelúdio)
+export const numberNodes = (root, prefix = 'n') => {
+    const stack = [root];
+    let count = 0;
+    while (stack.length) {
+        const node = stack.pop();
+        node.uid = `${prefix}${count++}`;
+        stack.push(...node.children().slice().reverse());
+    }
+    return root;
+};
+
+export const findNode = (root, uid) => {
+    if (!root || !uid) return null;
+    const stack = [root];
+    while (stack.length) {
+        const node = stack.pop();
+        if (node.uid === uid) return node;
+        stack.push(...node.children().slice().reverse());
+    }
+    return null;
+};
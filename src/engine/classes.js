@@ -0,0 +1,30 @@
+// Classes de tipo: superclasses e instâncias conhecidas
+import { TypeInt, TypeBool, TypeList, TypeTuple, TypeCon } from './types.js';
+
+// Para cada classe, as superclasses e os construtores de tipo com instância.
+// Listas e tuplas exigem a mesma classe dos componentes (instance Eq a => Eq [a]).
+export const CLASSES = {
+    Eq: { supers: [], instances: ['Int', 'Bool', '[]', '(,)'] },
+    Ord: { supers: ['Eq'], instances: ['Int', 'Bool', '[]', '(,)'] },
+    Num: { supers: [], instances: ['Int'] },
+};
+
+// A própria classe e todas as que ela implica (Ord a implica Eq a)
+export const entails = (cls) => [cls, ...CLASSES[cls].supers.flatMap(entails)];
+
+const tyconName = (t) => {
+    if (t instanceof TypeInt) return 'Int';
+    if (t instanceof TypeBool) return 'Bool';
+    if (t instanceof TypeList) return '[]';
+    if (t instanceof TypeTuple) return '(,)';
+    if (t instanceof TypeCon) return t.name;
+    return '->';
+};
+
+// Componentes que também precisam pertencer à classe para que t pertença; null se não há instância
+export const instanceContext = (cls, t) => {
+    if (!CLASSES[cls].instances.includes(tyconName(t))) return null;
+    if (t instanceof TypeList) return [t.elemType];
+    if (t instanceof TypeTuple) return t.elems;
+    return [];
+};
@@ -0,0 +1,65 @@
+import { spawnSync } from 'child_process';
+import path from 'path';
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'infer.mjs');
+const run = (args, input = '') => spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8' });
+
+describe('infer (linha de comando): opções', () => {
+    test('argumentos que não parecem opções são código', () => {
+        expect(run(['-3'])).toMatchObject({ status: 0, stdout: 'Int\n' });
+        expect(run(['-x']).status).toBe(1);
+    });
+
+    test('-- encerra as opções', () => {
+        expect(run(['--', '-3'])).toMatchObject({ status: 0, stdout: 'Int\n' });
+        expect(run(['--eval', '--', '-3 + 1'])).toMatchObject({ status: 0, stdout: 'Int\n= -2\n' });
+        expect(run(['--', '--json']).stderr).toMatch(/Variável 'json' não existe/);
+    });
+
+    test('uso incorreto sai com 2', () => {
+        expect(run(['--bogus', '1'])).toMatchObject({ status: 2 });
+        expect(run(['--bogus', '1']).stderr).toMatch(/^Opção desconhecida: --bogus/);
+        expect(run(['1', '2']).status).toBe(2);
+        expect(run([]).status).toBe(2);
+    });
+});
+
+describe('infer (linha de comando): saída', () => {
+    test('tipo no stdout e código 0', () => {
+        expect(run(['fun x -> x == x'])).toMatchObject({ status: 0, stdout: 'Eq T1 => T1 -> Bool\n', stderr: '' });
+    });
+
+    test('erro de tipo: posição no stderr e código 1', () => {
+        const { status, stdout, stderr } = run(['1 + true']);
+        expect(status).toBe(1);
+        expect(stdout).toBe('');
+        expect(stderr).toMatch(/^<expr>:1:1: Incompatível: Bool vs Int\n/);
+    });
+
+    test('--all-errors lista todos os erros', () => {
+        const { status, stderr } = run(['--all-errors', 'if 1 then (1 + true) else (not 3)']);
+        expect(status).toBe(1);
+        expect(stderr.split('\n').filter(line => line.startsWith('<expr>:'))).toHaveLength(3);
+    });
+
+    test('--json imprime o trace reimportável, também com erro', () => {
+        const ok = run(['--json', '--mode', 'constraints', 'fun x -> x']);
+        expect(ok.status).toBe(0);
+        expect(JSON.parse(ok.stdout)).toMatchObject({ version: 2, mode: 'constraints', type: 'T0 -> T0', errors: [] });
+        const bad = run(['--json', '1 + true']);
+        expect(bad.status).toBe(1);
+        expect(JSON.parse(bad.stdout).error).toMatchObject({ message: 'Incompatível: Bool vs Int', line: 1, col: 1 });
+    });
+
+    test('-f - lê da entrada padrão; --eval imprime o valor', () => {
+        expect(run(['-f', '-'], 'map (fun x -> x * 2) [1, 2]')).toMatchObject({ status: 0, stdout: '[Int]\n' });
+        expect(run(['--eval', '--strategy', 'substitution', 'head [1, 2]'])).toMatchObject({ status: 0, stdout: 'Int\n= 1\n' });
+        const crash = run(['--eval', '10 / 0']);
+        expect(crash.status).toBe(1);
+        expect(crash.stderr).toBe('<expr>:1:1: Erro em execução: Divisão por zero\n');
+    });
+
+    test('--eval com --json é uso incorreto', () => {
+        expect(run(['--eval', '--json', '1']).status).toBe(2);
+    });
+});
@@ -0,0 +1,617 @@
+// Avaliador passo a passo sobre a mesma AST da inferência, em duas estratégias (chamada por valor,
+// da esquerda para a direita): substituição, que reescreve a expressão um redex por passo, e ambiente,
+// que avalia com fechamentos. Só roda programas bem tipados; ainda assim há erros em tempo de execução
+// que o sistema de tipos não evita (head [], divisão por zero, case sem padrão, recursão sem fim).
+import { tokenize, Parser, FIXITY, isConName } from './parser.js';
+import { follow, showAtom, showQualified, TypeVar, TypeArrow, TypeList, TypeTuple, TypeCon } from './types.js';
+import {
+    EInt, EBool, EVar, ENeg, EBinOp, EIf, EFun, ELet, ELetRec, EApp, EList, EEmptyList, ETuple, EData, ECase, EAlt,
+    PVar, PWild, PLit, PTuple, PNil, PCons, PCon, numberNodes, findNode,
+} from './ast.js';
+import { PRELUDE, PRELUDE_CODE, parseTypeSig } from './prelude.js';
+
+export const EVAL_STRATEGIES = [
+    { id: 'substitution', label: 'Substituição' },
+    { id: 'environment', label: 'Ambiente' },
+];
+// Passos antes de desistir (o programa pode não terminar)
+export const EVAL_LIMIT = 5000;
+
+// Erro em tempo de execução; nodeId é o nó que estava sendo avaliado
+export class RuntimeError extends Error {
+    constructor(message, nodeId) { super(message); this.nodeId = nodeId; }
+}
+
+// --- Impressão ---
+// Texto truncado em max caracteres: a impressão para assim que passa do limite
+const TRUNCATED = Symbol('truncated');
+const printer = (max, body) => {
+    const parts = [];
+    let length = 0;
+    const emit = (s) => {
+        parts.push(s);
+        length += s.length;
+        if (length > max) throw TRUNCATED;
+    };
+    try { body(emit); }
+    catch (e) { if (e !== TRUNCATED) throw e; return `${parts.join('').slice(0, max)}…`; }
+    return parts.join('');
+};
+
+// Lista literal [a, b] se a cadeia de cons termina em []; senão null
+const listItems = (e) => {
+    const items = [];
+    for (; e instanceof EList; e = e.tail) items.push(e.head);
+    return e instanceof EEmptyList ? items : null;
+};
+// Células de uma cadeia de cons e o que vem depois delas: a :: b :: t vira { cells: [a ::, b ::], rest: t }
+const consCells = (e) => {
+    const cells = [];
+    for (; e instanceof EList; e = e.tail) cells.push(e);
+    return { cells, rest: e };
+};
+// Aplicação de construtor: Just 1 vira { head: Var(Just), args: [1] }
+const spine = (e) => {
+    const args = [];
+    for (; e instanceof EApp; e = e.func) args.unshift(e.arg);
+    return { head: e, args };
+};
+
+const emitPattern = (emit, p, prec) => {
+    const paren = (cond, f) => { if (cond) emit('('); f(); if (cond) emit(')'); };
+    if (p instanceof PVar) emit(p.name);
+    else if (p instanceof PWild) emit('_');
+    else if (p instanceof PLit) emit(String(p.val));
+    else if (p instanceof PNil) emit('[]');
+    else if (p instanceof PTuple) { emit('('); p.elems.forEach((q, i) => { if (i) emit(', '); emitPattern(emit, q, 0); }); emit(')'); }
+    else if (p instanceof PCons) paren(prec > 5, () => { emitPattern(emit, p.head, 6); emit(' :: '); emitPattern(emit, p.tail, 5); });
+    else if (p instanceof PCon) paren(prec > 10 && p.args.length > 0, () => { emit(p.name); p.args.forEach(q => { emit(' '); emitPattern(emit, q, 11); }); });
+};
+
+// Precedências: 0 (let, fun, if, case estendem até o fim), as de FIXITY, 10 aplicação, 11 átomo
+const emitExpr = (emit, e, prec) => {
+    const paren = (cond, f) => { if (cond) emit('('); f(); if (cond) emit(')'); };
+    if (e instanceof EInt) paren(e.val < 0 && prec > 6, () => emit(String(e.val)));
+    else if (e instanceof EBool) emit(String(e.val));
+    else if (e instanceof EVar) emit(e.name);
+    else if (e instanceof EEmptyList) emit('[]');
+    else if (e instanceof EList) {
+        const items = listItems(e);
+        if (items) { emit('['); items.forEach((x, i) => { if (i) emit(', '); emitExpr(emit, x, 0); }); emit(']'); }
+        else paren(prec > 5, () => { emitExpr(emit, e.head, 6); emit(' :: '); emitExpr(emit, e.tail, 5); });
+    }
+    else if (e instanceof ETuple) { emit('('); e.elems.forEach((x, i) => { if (i) emit(', '); emitExpr(emit, x, 0); }); emit(')'); }
+    else if (e instanceof ENeg) paren(prec > 6, () => { emit('-'); emitExpr(emit, e.arg, 7); });
+    else if (e instanceof EBinOp) {
+        const [p, assoc] = FIXITY[e.op];
+        paren(prec > p, () => {
+            emitExpr(emit, e.left, assoc === 'left' ? p : p + 1);
+            emit(` ${e.op} `);
+            emitExpr(emit, e.right, assoc === 'right' ? p : p + 1);
+        });
+    }
+    else if (e instanceof EApp) paren(prec > 10, () => { emitExpr(emit, e.func, 10); emit(' '); emitExpr(emit, e.arg, 11); });
+    else if (e instanceof EFun) paren(prec > 0, () => {
+        emit('fun');
+        let body = e;
+        for (; body instanceof EFun; body = body.body) emit(` ${body.param}`);
+        emit(' -> ');
+        emitExpr(emit, body, 0);
+    });
+    else if (e instanceof ELet || e instanceof ELetRec) paren(prec > 0, () => {
+        emit(e instanceof ELetRec ? `let rec ${e.name} = ` : `let ${e.name} = `);
+        emitExpr(emit, e.val, 0); emit(' in '); emitExpr(emit, e.body, 0);
+    });
+    else if (e instanceof EIf) paren(prec > 0, () => {
+        emit('if '); emitExpr(emit, e.cond, 0); emit(' then '); emitExpr(emit, e.thenBr, 0); emit(' else '); emitExpr(emit, e.elseBr, 0);
+    });
+    else if (e instanceof ECase) paren(prec > 0, () => {
+        emit('case '); emitExpr(emit, e.scrutinee, 0); emit(' of ');
+        // Um case dentro de um ramo que não é o último engoliria os ramos seguintes
+        e.alts.forEach((alt, i) => { if (i) emit(' | '); emitPattern(emit, alt.pat, 0); emit(' -> '); emitExpr(emit, alt.body, i < e.alts.length - 1 ? 1 : 0); });
+    });
+    else if (e instanceof EData) paren(prec > 0, () => {
+        emit(`data ${[e.name, ...e.params.map(p => p.name)].join(' ')} = `);
+        emit(e.ctors.map(c => [c.name, ...c.args.map(a => showAtom(a))].join(' ')).join(' | '));
+        emit(' in '); emitExpr(emit, e.body, 0);
+    });
+};
+
+// Expressão em sintaxe da linguagem (as formas açucaradas aparecem já traduzidas)
+export const showExpr = (e, max = Infinity) => printer(max, emit => emitExpr(emit, e, 0));
+
+// --- Valores do modo ambiente ---
+// Int e Bool são números e booleanos; listas são células { head, tail } terminadas em NIL;
+// tuplas { tuple }; construtores { con, args, arity }; funções { closure: EFun, env }
+const NIL = { nil: true };
+
+const emitValue = (emit, v, atom) => {
+    if (typeof v === 'number') { emit(atom && v < 0 ? `(${v})` : String(v)); return; }
+    if (typeof v === 'boolean') { emit(String(v)); return; }
+    if (v.nil || v.head !== undefined) {
+        emit('[');
+        for (let c = v, first = true; !c.nil; c = c.tail, first = false) { if (!first) emit(', '); emitValue(emit, c.head, false); }
+        emit(']');
+        return;
+    }
+    if (v.tuple) { emit('('); v.tuple.forEach((x, i) => { if (i) emit(', '); emitValue(emit, x, false); }); emit(')'); return; }
+    if (v.con) {
+        const paren = atom && v.args.length > 0;
+        if (paren) emit('(');
+        emit(v.con);
+        v.args.forEach(a => { emit(' '); emitValue(emit, a, true); });
+        if (paren) emit(')');
+        return;
+    }
+    emit(`<fun ${v.closure.param}>`);
+};
+export const showValue = (v, max = Infinity) => printer(max, emit => emitValue(emit, v, false));
+
+// Comparação estrutural (== e != usam Eq; < etc. usam Ord): -1, 0 ou 1
+const compareValues = (a, b) => {
+    if (typeof a !== 'object') return a === b ? 0 : a < b ? -1 : 1;
+    if (a.nil || a.head !== undefined) {
+        for (; !a.nil && !b.nil; a = a.tail, b = b.tail) {
+            const c = compareValues(a.head, b.head);
+            if (c !== 0) return c;
+        }
+        return a.nil && b.nil ? 0 : a.nil ? -1 : 1;
+    }
+    const [xs, ys] = a.tuple ? [a.tuple, b.tuple] : [a.args, b.args];
+    if (a.con && a.con !== b.con) return a.con < b.con ? -1 : 1;
+    for (let i = 0; i < xs.length; i++) {
+        const c = compareValues(xs[i], ys[i]);
+        if (c !== 0) return c;
+    }
+    return 0;
+};
+
+// Operadores sobre valores já avaliados; / é a divisão inteira do Haskell (div)
+const applyOp = (op, a, b, nodeId) => {
+    switch (op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+            if (b === 0) throw new RuntimeError('Divisão por zero', nodeId);
+            return Math.floor(a / b);
+        case '==': return compareValues(a, b) === 0;
+        case '!=': return compareValues(a, b) !== 0;
+        case '<': return compareValues(a, b) < 0;
+        case '>': return compareValues(a, b) > 0;
+        case '<=': return compareValues(a, b) <= 0;
+        default: return compareValues(a, b) >= 0;
+    }
+};
+
+// --- Contexto de uma avaliação ---
+// general tem uma instância em specific? (Num a => [a] -> a tem [Int] -> Int); classes não contam
+const isInstanceOf = (specific, general) => {
+    const binds = new Map();
+    const match = (g, s) => {
+        g = follow(g); s = follow(s);
+        if (g instanceof TypeVar) {
+            if (!binds.has(g)) binds.set(g, s);
+            return binds.get(g) === s || `${binds.get(g)}` === `${s}`;
+        }
+        if (g instanceof TypeArrow) return s instanceof TypeArrow && match(g.param, s.param) && match(g.ret, s.ret);
+        if (g instanceof TypeList) return s instanceof TypeList && match(g.elemType, s.elemType);
+        if (g instanceof TypeTuple) return s instanceof TypeTuple && g.elems.length === s.elems.length && g.elems.every((x, i) => match(x, s.elems[i]));
+        if (g instanceof TypeCon) return s instanceof TypeCon && g.name === s.name && g.args.every((x, i) => match(x, s.args[i]));
+        return g.constructor === s.constructor;
+    };
+    return match(general.type, specific.type);
+};
+
+class EvalContext {
+    constructor(result, strategy, limit) {
+        this.result = result;
+        this.strategy = strategy;
+        this.limit = limit;
+        this.steps = [];
+        // Aridade de cada construtor declarado com data
+        this.arity = new Map();
+        const stack = [result.ast];
+        while (stack.length) {
+            const node = stack.pop();
+            if (node instanceof EData) node.ctors.forEach(c => this.arity.set(c.name, c.args.length));
+            stack.push(...node.children());
+        }
+        this.preludeAsts = new Map();
+        this.preludeValues = new Map();
+    }
+    // Implementação de uma primitiva do prelúdio, se a assinatura em uso for a padrão ou uma instância dela
+    preludeAst(name) {
+        if (!this.preludeAsts.has(name)) {
+            const sig = Object.hasOwn(this.result.prelude, name) ? this.result.prelude[name] : undefined;
+            const usable = sig !== undefined && Object.hasOwn(PRELUDE_CODE, name)
+                && (sig === PRELUDE[name] || isInstanceOf(parseTypeSig(sig), parseTypeSig(PRELUDE[name])));
+            this.preludeAsts.set(name, usable ? numberNodes(new Parser(tokenize(PRELUDE_CODE[name])).parseProgram(), `${name}:`) : null);
+        }
+        return this.preludeAsts.get(name);
+    }
+    missing(name, nodeId) {
+        return new RuntimeError(Object.hasOwn(this.result.prelude, name)
+            ? `'${name}' só tem assinatura no prelúdio, sem implementação para executar`
+            : `Variável '${name}' sem valor (usada antes de ser definida?)`, nodeId);
+    }
+    // step: { msg, type, nodeId } mais expr (substituição: a expressão inteira após o passo) ou env/value (ambiente)
+    trace(msg, type, nodeId, extra = {}) {
+        if (this.steps.length >= this.limit) throw new RuntimeError(`Limite de ${this.limit} passos atingido (o programa pode não terminar)`, nodeId);
+        this.steps.push({ msg, type, nodeId, ...extra });
+    }
+}
+
+const SNIPPET = 50;
+
+// let rec só executa funções: let rec xs = 1 :: xs tem tipo, mas não tem valor em chamada por valor
+const recursiveFunction = (e) => {
+    if (!(e.val instanceof EFun)) throw new RuntimeError(`let rec ${e.name}: só funções (fun ...) podem ser definidas recursivamente`, e.uid);
+};
+
+// --- Modo ambiente ---
+const lookup = (ctx, env, e) => {
+    if (e.name in env) return env[e.name];
+    if (!ctx.preludeValues.has(e.name)) {
+        const ast = ctx.preludeAst(e.name);
+        if (!ast) throw ctx.missing(e.name, e.uid);
+        const root = Object.create(null);
+        ctx.trace(`PRELÚDIO: ${e.name} = ${showExpr(ast, SNIPPET)}`, 'inst', e.uid, { env: root });
+        ctx.preludeValues.set(e.name, evalEnv(ctx, root, ast));
+    }
+    return ctx.preludeValues.get(e.name);
+};
+
+const apply = (ctx, f, arg, node) => {
+    if (f.con) return { con: f.con, args: [...f.args, arg], arity: f.arity };
+    const env = Object.create(f.env);
+    env[f.closure.param] = arg;
+    ctx.trace(`APLICAR: ${showExpr(node, SNIPPET)} com ${f.closure.param} = ${showValue(arg, SNIPPET)}`, 'fix', node.uid, { env });
+    const v = evalEnv(ctx, env, f.closure.body);
+    ctx.trace(`RETORNO: ${showExpr(node, SNIPPET)} ⇓ ${showValue(v, SNIPPET)}`, 'success', node.uid, { env, value: v });
+    return v;
+};
+
+// Padrão contra valor: acrescenta as variáveis em binds e diz se casou
+const matchValue = (p, v, binds) => {
+    if (p instanceof PVar) { binds[p.name] = v; return true; }
+    if (p instanceof PWild) return true;
+    if (p instanceof PLit) return v === p.val;
+    if (p instanceof PNil) return !!v.nil;
+    if (p instanceof PCons) return !v.nil && matchValue(p.head, v.head, binds) && matchValue(p.tail, v.tail, binds);
+    if (p instanceof PTuple) return p.elems.every((q, i) => matchValue(q, v.tuple[i], binds));
+    return v.con === p.name && p.args.every((q, i) => matchValue(q, v.args[i], binds));
+};
+
+const evalEnv = (ctx, env, e) => {
+    if (e instanceof EInt || e instanceof EBool) return e.val;
+    if (e instanceof EEmptyList) return NIL;
+    if (e instanceof EVar) {
+        if (isConName(e.name)) return { con: e.name, args: [], arity: ctx.arity.get(e.name) };
+        const v = lookup(ctx, env, e);
+        ctx.trace(`VAR: ${e.name} ↦ ${showValue(v, SNIPPET)}`, 'inst', e.uid, { env, value: v });
+        return v;
+    }
+    if (e instanceof ENeg) {
+        const v = -evalEnv(ctx, env, e.arg);
+        ctx.trace(`OP: ${showExpr(e, SNIPPET)} ⇓ ${v}`, 'solve', e.uid, { env, value: v });
+        return v;
+    }
+    if (e instanceof EBinOp) {
+        const a = evalEnv(ctx, env, e.left);
+        const b = evalEnv(ctx, env, e.right);
+        const v = applyOp(e.op, a, b, e.uid);
+        ctx.trace(`OP: ${showValue(a, SNIPPET)} ${e.op} ${showValue(b, SNIPPET)} ⇓ ${showValue(v)}`, 'solve', e.uid, { env, value: v });
+        return v;
+    }
+    if (e instanceof EIf) {
+        const c = evalEnv(ctx, env, e.cond);
+        ctx.trace(`IF: condição ${c}, segue pelo ${c ? 'then' : 'else'}`, 'warn', e.uid, { env });
+        return evalEnv(ctx, env, c ? e.thenBr : e.elseBr);
+    }
+    if (e instanceof EFun) {
+        const v = { closure: e, env };
+        ctx.trace(`FECHAMENTO: ${showExpr(e, SNIPPET)} com o ambiente atual`, 'gen', e.uid, { env, value: v });
+        return v;
+    }
+    if (e instanceof ELet) {
+        const v = evalEnv(ctx, env, e.val);
+        const inner = Object.create(env);
+        inner[e.name] = v;
+        ctx.trace(`LET: ${e.name} = ${showValue(v, SNIPPET)}`, 'gen', e.uid, { env: inner, value: v });
+        return evalEnv(ctx, inner, e.body);
+    }
+    if (e instanceof ELetRec) {
+        // O fechamento captura o próprio ambiente em que o nome é definido
+        recursiveFunction(e);
+        const inner = Object.create(env);
+        inner[e.name] = evalEnv(ctx, inner, e.val);
+        ctx.trace(`LET REC: ${e.name} = ${showValue(inner[e.name], SNIPPET)} (visível no próprio corpo)`, 'fix', e.uid, { env: inner, value: inner[e.name] });
+        return evalEnv(ctx, inner, e.body);
+    }
+    if (e instanceof EApp) {
+        const f = evalEnv(ctx, env, e.func);
+        const arg = evalEnv(ctx, env, e.arg);
+        return apply(ctx, f, arg, e);
+    }
+    if (e instanceof EList) {
+        // A espinha é percorrida em laço (listas longas estourariam a pilha); as cabeças, da esquerda para a direita
+        const heads = [];
+        let rest = e;
+        for (; rest instanceof EList; rest = rest.tail) heads.push(evalEnv(ctx, env, rest.head));
+        return heads.reduceRight((tail, head) => ({ head, tail }), evalEnv(ctx, env, rest));
+    }
+    if (e instanceof ETuple) return { tuple: e.elems.map(x => evalEnv(ctx, env, x)) };
+    if (e instanceof EData) {
+        ctx.trace(`DATA: construtores ${e.ctors.map(c => c.name).join(', ')}`, 'ast', e.uid, { env });
+        return evalEnv(ctx, env, e.body);
+    }
+    if (e instanceof ECase) {
+        const v = evalEnv(ctx, env, e.scrutinee);
+        for (const alt of e.alts) {
+            const binds = Object.create(null);
+            if (!matchValue(alt.pat, v, binds)) continue;
+            const inner = Object.assign(Object.create(env), binds);
+            ctx.trace(`CASE: ${showValue(v, SNIPPET)} casa com ${printer(SNIPPET, emit => emitPattern(emit, alt.pat, 0))}`, 'class', alt.uid, { env: inner, value: v });
+            return evalEnv(ctx, inner, alt.body);
+        }
+        throw new RuntimeError(`Nenhum padrão do case casa com ${showValue(v, SNIPPET)}`, e.uid);
+    }
+    throw new RuntimeError(`Nó não avaliável: ${e}`, e.uid);
+};
+
+// --- Modo substituição ---
+// Cópia rasa de um nó com campos trocados; mantém o uid para destacar o nó de origem na árvore
+const clone = (node, fields) => Object.assign(Object.create(Object.getPrototypeOf(node)), node, fields);
+// Refaz a cadeia trocando cada cabeça por f(cabeça) e o fim por rest (cópias que mantêm os uids)
+const rebuildCells = (cells, f, rest) => cells.reduceRight((tail, cell) => clone(cell, { head: f(cell.head), tail }), rest);
+const literal = (val, at) => clone(typeof val === 'number' ? new EInt(val) : new EBool(val), { uid: at.uid, start: at.start, end: at.end });
+
+const patternVars = (p, acc = new Set()) => {
+    if (p instanceof PVar) acc.add(p.name);
+    p.children().forEach(q => patternVars(q, acc));
+    return acc;
+};
+const freeVars = (e, bound = new Set(), acc = new Set()) => {
+    const under = (names, f) => f(new Set([...bound, ...names]));
+    if (e instanceof EVar) { if (!bound.has(e.name) && !isConName(e.name)) acc.add(e.name); }
+    else if (e instanceof EFun) under([e.param], b => freeVars(e.body, b, acc));
+    else if (e instanceof ELet) { freeVars(e.val, bound, acc); under([e.name], b => freeVars(e.body, b, acc)); }
+    else if (e instanceof ELetRec) under([e.name], b => { freeVars(e.val, b, acc); freeVars(e.body, b, acc); });
+    else if (e instanceof ECase) { freeVars(e.scrutinee, bound, acc); e.alts.forEach(alt => under(patternVars(alt.pat), b => freeVars(alt.body, b, acc))); }
+    else if (e instanceof EData) freeVars(e.body, bound, acc);
+    else if (e instanceof EList) {
+        const { cells, rest } = consCells(e);
+        cells.forEach(c => freeVars(c.head, bound, acc));
+        freeVars(rest, bound, acc);
+    }
+    else e.children().forEach(c => freeVars(c, bound, acc));
+    return acc;
+};
+const freshName = (name, avoid) => {
+    let fresh = `${name}'`;
+    while (avoid.has(fresh)) fresh += "'";
+    return fresh;
+};
+const renamePattern = (p, from, to) => {
+    if (p instanceof PVar) return p.name === from ? clone(p, { name: to }) : p;
+    if (p instanceof PCons) return clone(p, { head: renamePattern(p.head, from, to), tail: renamePattern(p.tail, from, to) });
+    if (p instanceof PTuple) return clone(p, { elems: p.elems.map(q => renamePattern(q, from, to)) });
+    if (p instanceof PCon) return clone(p, { args: p.args.map(q => renamePattern(q, from, to)) });
+    return p;
+};
+
+// e[x := v] sem captura: um ligador com nome livre em v é renomeado antes (x', x'', ...)
+const substitute = (e, x, v, fv = freeVars(v)) => {
+    const sub = (t) => substitute(t, x, v, fv);
+    const rename = (name, body) => {
+        const fresh = freshName(name, new Set([...fv, ...freeVars(body), x]));
+        return { fresh, body: substituteVar(body, name, fresh) };
+    };
+    if (e instanceof EVar) return e.name === x ? v : e;
+    if (e instanceof EFun) {
+        if (e.param === x) return e;
+        if (!fv.has(e.param)) return clone(e, { body: sub(e.body) });
+        const { fresh, body } = rename(e.param, e.body);
+        return clone(e, { param: fresh, body: sub(body) });
+    }
+    if (e instanceof ELet) {
+        if (e.name === x) return clone(e, { val: sub(e.val) });
+        if (!fv.has(e.name)) return clone(e, { val: sub(e.val), body: sub(e.body) });
+        const { fresh, body } = rename(e.name, e.body);
+        return clone(e, { name: fresh, val: sub(e.val), body: sub(body) });
+    }
+    if (e instanceof ELetRec) {
+        if (e.name === x) return e;
+        if (!fv.has(e.name)) return clone(e, { val: sub(e.val), body: sub(e.body) });
+        const fresh = freshName(e.name, new Set([...fv, ...freeVars(e.val), ...freeVars(e.body), x]));
+        return clone(e, { name: fresh, val: sub(substituteVar(e.val, e.name, fresh)), body: sub(substituteVar(e.body, e.name, fresh)) });
+    }
+    if (e instanceof ECase) return clone(e, { scrutinee: sub(e.scrutinee), alts: e.alts.map(alt => sub(alt)) });
+    if (e instanceof EAlt) {
+        const bound = patternVars(e.pat);
+        if (bound.has(x)) return e;
+        let { pat, body } = e;
+        bound.forEach(name => {
+            if (!fv.has(name)) return;
+            const fresh = freshName(name, new Set([...fv, ...freeVars(body), ...bound, x]));
+            pat = renamePattern(pat, name, fresh);
+            body = substituteVar(body, name, fresh);
+        });
+        return clone(e, { pat, body: sub(body) });
+    }
+    if (e instanceof EData) return clone(e, { body: sub(e.body) });
+    if (e instanceof ENeg) return clone(e, { arg: sub(e.arg) });
+    if (e instanceof EBinOp) return clone(e, { left: sub(e.left), right: sub(e.right) });
+    if (e instanceof EIf) return clone(e, { cond: sub(e.cond), thenBr: sub(e.thenBr), elseBr: sub(e.elseBr) });
+    if (e instanceof EApp) return clone(e, { func: sub(e.func), arg: sub(e.arg) });
+    if (e instanceof EList) {
+        const { cells, rest } = consCells(e);
+        return rebuildCells(cells, sub, sub(rest));
+    }
+    if (e instanceof ETuple) return clone(e, { elems: e.elems.map(sub) });
+    return e;
+};
+// Renomeação: cada ocorrência vira uma cópia do próprio nó com o nome novo
+const substituteVar = (e, from, to) => {
+    if (e instanceof EVar) return e.name === from ? clone(e, { name: to }) : e;
+    const marker = new EVar(`\u0000${to}`);
+    const renamed = substitute(e, from, marker, new Set([to]));
+    return replaceMarker(renamed, marker, to);
+};
+const replaceMarker = (e, marker, to) => {
+    if (e === marker) return e;
+    if (e instanceof EVar) return e;
+    const fix = (t) => (t === marker ? clone(marker, { name: to }) : replaceMarker(t, marker, to));
+    if (e instanceof EFun) return clone(e, { body: fix(e.body) });
+    if (e instanceof ELet || e instanceof ELetRec) return clone(e, { val: fix(e.val), body: fix(e.body) });
+    if (e instanceof ECase) return clone(e, { scrutinee: fix(e.scrutinee), alts: e.alts.map(fix) });
+    if (e instanceof EAlt) return clone(e, { body: fix(e.body) });
+    if (e instanceof EData) return clone(e, { body: fix(e.body) });
+    if (e instanceof ENeg) return clone(e, { arg: fix(e.arg) });
+    if (e instanceof EBinOp) return clone(e, { left: fix(e.left), right: fix(e.right) });
+    if (e instanceof EIf) return clone(e, { cond: fix(e.cond), thenBr: fix(e.thenBr), elseBr: fix(e.elseBr) });
+    if (e instanceof EApp) return clone(e, { func: fix(e.func), arg: fix(e.arg) });
+    if (e instanceof EList) {
+        const { cells, rest } = consCells(e);
+        return rebuildCells(cells, fix, fix(rest));
+    }
+    if (e instanceof ETuple) return clone(e, { elems: e.elems.map(fix) });
+    return e;
+};
+
+const isValue = (ctx, e) => {
+    for (; e instanceof EList; e = e.tail) if (!isValue(ctx, e.head)) return false;
+    if (e instanceof EInt || e instanceof EBool || e instanceof EFun || e instanceof EEmptyList) return true;
+    if (e instanceof ETuple) return e.elems.every(x => isValue(ctx, x));
+    const { head, args } = spine(e);
+    return head instanceof EVar && isConName(head.name) && args.length <= ctx.arity.get(head.name) && args.every(x => isValue(ctx, x));
+};
+
+// Valor (expressão) como valor do modo ambiente, para reaproveitar compareValues
+const toRuntime = (e) => {
+    if (e instanceof EInt || e instanceof EBool) return e.val;
+    if (e instanceof EEmptyList) return NIL;
+    if (e instanceof EList) {
+        const { cells, rest } = consCells(e);
+        return cells.reduceRight((tail, cell) => ({ head: toRuntime(cell.head), tail }), toRuntime(rest));
+    }
+    if (e instanceof ETuple) return { tuple: e.elems.map(toRuntime) };
+    const { head, args } = spine(e);
+    return { con: head.name, args: args.map(toRuntime) };
+};
+
+// Padrão contra valor (expressão): devolve as ligações ou null
+const matchExpr = (p, v, binds = []) => {
+    if (p instanceof PVar) { binds.push([p.name, v]); return binds; }
+    if (p instanceof PWild) return binds;
+    if (p instanceof PLit) return v.val === p.val ? binds : null;
+    if (p instanceof PNil) return v instanceof EEmptyList ? binds : null;
+    if (p instanceof PCons) return v instanceof EList && matchExpr(p.head, v.head, binds) && matchExpr(p.tail, v.tail, binds);
+    if (p instanceof PTuple) return p.elems.every((q, i) => matchExpr(q, v.elems[i], binds)) ? binds : null;
+    const { head, args } = spine(v);
+    return head.name === p.name && p.args.every((q, i) => matchExpr(q, args[i], binds)) ? binds : null;
+};
+
+// Um passo de redução: devolve a expressão reescrita e registra em ctx.redex o redex e a regra
+const reduce = (ctx, e) => {
+    const done = (rule, result) => { ctx.redex = { node: e, rule, result }; return result; };
+    // Reduz o primeiro filho que ainda não é valor (da esquerda para a direita); null se todos já são
+    const inside = (fields) => {
+        for (const [key, child] of fields) {
+            if (Array.isArray(child)) {
+                const i = child.findIndex(x => !isValue(ctx, x));
+                if (i !== -1) return clone(e, { [key]: child.map((x, j) => (j === i ? reduce(ctx, x) : x)) });
+            } else if (!isValue(ctx, child)) return clone(e, { [key]: reduce(ctx, child) });
+        }
+        return null;
+    };
+    if (e instanceof EVar) {
+        const ast = ctx.preludeAst(e.name);
+        if (!ast) throw ctx.missing(e.name, e.uid);
+        return done('δ (prelúdio)', ast);
+    }
+    if (e instanceof ENeg) return inside([['arg', e.arg]]) || done('δ', literal(-e.arg.val, e));
+    if (e instanceof EBinOp) {
+        return inside([['left', e.left], ['right', e.right]])
+            || done('δ', literal(applyOp(e.op, toRuntime(e.left), toRuntime(e.right), e.uid), e));
+    }
+    if (e instanceof EIf) return inside([['cond', e.cond]]) || done('if', e.cond.val ? e.thenBr : e.elseBr);
+    if (e instanceof ELet) return inside([['val', e.val]]) || done('let', substitute(e.body, e.name, e.val));
+    if (e instanceof ELetRec) {
+        // let rec f = v in b ⟶ b[f := v[f := let rec f = v in f]]: desenrola a recursão uma vez
+        recursiveFunction(e);
+        const fix = clone(e, { body: clone(new EVar(e.name), { uid: e.uid, start: e.start, end: e.end }) });
+        return done('let rec', substitute(e.body, e.name, substitute(e.val, e.name, fix)));
+    }
+    if (e instanceof EApp) {
+        const reduced = inside([['func', e.func], ['arg', e.arg]]);
+        if (reduced) return reduced;
+        if (e.func instanceof EFun) return done('β', substitute(e.func.body, e.func.param, e.arg));
+        throw new RuntimeError(`Aplicação de um valor que não é função: ${showExpr(e.func, SNIPPET)}`, e.uid);
+    }
+    if (e instanceof EList) {
+        // Só o primeiro elemento que não é valor (ou o fim da cadeia) é reduzido; as células antes dele são copiadas
+        const { cells, rest } = consCells(e);
+        const i = cells.findIndex(c => !isValue(ctx, c.head));
+        if (i === -1 && isValue(ctx, rest)) return null;
+        const before = cells.slice(0, i === -1 ? cells.length : i);
+        const reduced = i === -1 ? reduce(ctx, rest) : clone(cells[i], { head: reduce(ctx, cells[i].head) });
+        return before.reduceRight((tail, cell) => clone(cell, { tail }), reduced);
+    }
+    if (e instanceof ETuple) return inside([['elems', e.elems]]);
+    if (e instanceof EData) return done('data', e.body);
+    if (e instanceof ECase) {
+        const reduced = inside([['scrutinee', e.scrutinee]]);
+        if (reduced) return reduced;
+        for (const alt of e.alts) {
+            const binds = matchExpr(alt.pat, e.scrutinee);
+            if (binds) return done('case', binds.reduce((body, [x, v]) => substitute(body, x, v), alt.body));
+        }
+        throw new RuntimeError(`Nenhum padrão do case casa com ${showExpr(e.scrutinee, SNIPPET)}`, e.uid);
+    }
+    // Aplicação de construtor além da aridade não passa pela inferência
+    throw new RuntimeError(`Nó não avaliável: ${e}`, e.uid);
+};
+
+const evalSubstitution = (ctx) => {
+    let expr = ctx.result.ast;
+    ctx.trace(`INÍCIO: ${showExpr(expr, SNIPPET)}`, 'ast', expr.uid, { expr });
+    while (!isValue(ctx, expr)) {
+        ctx.redex = null;
+        expr = reduce(ctx, expr);
+        const { node, rule, result } = ctx.redex;
+        ctx.trace(`${rule}: ${showExpr(node, SNIPPET)} ⟶ ${showExpr(result, SNIPPET)}`, rule === 'β' ? 'fix' : rule.startsWith('δ') ? 'solve' : 'warn', node.uid, { expr });
+    }
+    return expr;
+};
+
+// Avalia um resultado de runInference. Programas com erro de tipo não são executados.
+// Devolve { strategy, steps, value (texto) | null, error: { message, nodeId, span } | null }
+export const evaluate = (result, { strategy = 'substitution', limit = EVAL_LIMIT } = {}) => {
+    if (!result.ast || !result.type) throw new Error('Programa mal tipado: só programas bem tipados são executados');
+    const ctx = new EvalContext(result, strategy, limit);
+    try {
+        const value = strategy === 'environment'
+            ? showValue(evalEnv(ctx, Object.create(null), result.ast))
+            : showExpr(evalSubstitution(ctx));
+        ctx.steps.push({ msg: `VALOR: ${value} :: ${showQualified(result.type)}`, type: 'success', nodeId: result.ast.uid, ...(strategy === 'substitution' ? { expr: ctx.steps[ctx.steps.length - 1].expr } : {}) });
+        return { strategy, steps: ctx.steps, value, error: null };
+    } catch (caught) {
+        // Recursão mais funda que a pilha do JavaScript também é um erro do programa em execução
+        const e = caught instanceof RangeError ? new RuntimeError('Pilha esgotada: recursão profunda demais', null) : caught;
+        if (!(e instanceof RuntimeError)) throw e;
+        const node = findNode(result.ast, e.nodeId);
+        // Nós do prelúdio têm ids "head:3", ...: o erro aconteceu dentro da implementação da primitiva
+        const message = !node && e.nodeId && e.nodeId.includes(':') ? `${e.message} (em ${e.nodeId.split(':')[0]}, no prelúdio)` : e.message;
+        ctx.steps.push({ msg: `ERRO EM EXECUÇÃO: ${message}`, type: 'error', nodeId: e.nodeId });
+        return { strategy, steps: ctx.steps, value: null, error: { message, nodeId: e.nodeId, span: node ? { start: node.start, end: node.end } : null } };
+    }
+};
+
+// Ligações visíveis num passo do modo ambiente, da mais interna para a mais externa (sem repetir nomes sombreados)
+export const envBindings = (env, max = SNIPPET) => {
+    const seen = [];
+    for (const name in env) seen.push({ name, value: showValue(env[name], max) });
+    return seen;
+};
@@ -0,0 +1,54 @@
+import { runInference, evaluate, EVAL_STRATEGIES } from './index.js';
+
+const run = (code, strategy) => evaluate(runInference(code), { strategy });
+
+describe.each(EVAL_STRATEGIES.map(s => s.id))('avaliação (%s)', (strategy) => {
+    test.each([
+        ['let id = fun x -> x in (id 1, id true)', '(1, true)'],
+        ['let rec fact = fun n -> if n == 0 then 1 else n * fact (n - 1) in fact 5', '120'],
+        ['map (fun x -> x * 2) [1, 2, 3]', '[2, 4, 6]'],
+        ['data Maybe a = Nothing | Just a in case Just 3 of Nothing -> 0 | Just x -> x', '3'],
+        ['foldr (fun x acc -> x + acc) 0 [1, 2, 3]', '6'],
+        ['7 / 2 - -1', '4'],
+    ])('%s ⇓ %s', (code, value) => {
+        const result = run(code, strategy);
+        expect(result.error).toBeNull();
+        expect(result.value).toBe(value);
+        expect(result.steps[result.steps.length - 1].msg).toMatch(/^VALOR: /);
+    });
+
+    test('sem captura de variáveis', () => {
+        expect(run('let y = 2 in (fun x -> fun y -> x + y) y 1', strategy).value).toBe('3');
+        // O valor de g cita map do prelúdio: o parâmetro map precisa ser renomeado na substituição
+        expect(run('let g = fun f -> map f [1] in (fun map -> g map) (fun x -> x + 1)', strategy).value).toBe('[2]');
+    });
+
+    test('erros em tempo de execução', () => {
+        expect(run('10 / 0', strategy).error).toMatchObject({ message: 'Divisão por zero', span: { start: 0, end: 6 } });
+        expect(run('head []', strategy).error.message).toBe('Nenhum padrão do case casa com [] (em head, no prelúdio)');
+        expect(run('let rec f = fun x -> f x in f 1', strategy).error.message).toMatch(/^Limite de 5000 passos/);
+    });
+
+    test('let rec de algo que não é função: o mesmo erro nas duas estratégias', () => {
+        expect(run('let rec f = 1 :: f in head f', strategy).error).toMatchObject({
+            message: 'let rec f: só funções (fun ...) podem ser definidas recursivamente',
+            span: { start: 0, end: 28 },
+        });
+    });
+});
+
+test('a substituição renomeia o ligador que capturaria a variável', () => {
+    const { steps } = run('let g = fun f -> map f [1] in (fun map -> g map) (fun x -> x + 1)', 'substitution');
+    expect(steps[1].msg).toContain("(fun map' -> (fun f -> map f [1]) map')");
+});
+
+test('programas mal tipados não são executados', () => {
+    expect(() => evaluate(runInference('1 + true'))).toThrow(/mal tipado/);
+});
+
+test('o último passo da inferência tem o tick de todos os tipos (a árvore da execução mostra os finais)', () => {
+    const result = runInference('let id = fun x -> x in if id true then id 1 else 0');
+    const lastTick = result.steps[result.steps.length - 1].tick;
+    expect(lastTick).toBeGreaterThan(result.steps.length - 1);
+    Object.values(result.nodeTypes).forEach(info => expect(info.tick).toBeLessThanOrEqual(lastTick));
+});
@@ -0,0 +1,49 @@
+// Explicação de erros de tipo: as cadeias de culpa em texto, com a posição de cada nó
+import { lineCol } from './source.js';
+
+const where = (code, span) => {
+    const { line, col } = lineCol(code, span.start);
+    const text = code.slice(span.start, span.end).replace(/\s+/g, ' ');
+    return `\`${text.length > 40 ? `${text.slice(0, 37)}...` : text}\` (linha ${line}, coluna ${col})`;
+};
+
+// Uma linha por ligação da cadeia e, no fim, o nó de onde veio o tipo concreto
+const explainSide = (side, code) => {
+    const lines = side.chain.map(link => {
+        const why = link.reason === link.constraint ? link.reason : `${link.reason} em ${link.constraint}`;
+        return `${link.var} = ${link.to} (${why}) em ${where(code, link.span)}`;
+    });
+    const last = side.chain[side.chain.length - 1];
+    const repeated = last && side.origin && last.span.start === side.origin.span.start && last.span.end === side.origin.span.end;
+    if (side.origin && !repeated) lines.push(`${side.type} vem de ${side.origin.reason} em ${where(code, side.origin.span)}`);
+    return lines;
+};
+
+// Linhas que explicam os dois lados de um conflito ("Int por causa de ... mas Bool por causa de ...");
+// vazio para erros sem cadeia de culpa (sintaxe, variável inexistente)
+export const explainError = (error, code) => {
+    if (!error.blame) return [];
+    const { kind, left, right } = error.blame;
+    const indent = (lines) => lines.map(l => `  ${l}`);
+    const rightLines = explainSide(right, code);
+    if (kind === 'instance') {
+        return [
+            `${left.type} ${left.origin.reason} em ${where(code, left.origin.span)}`,
+            ...(rightLines.length ? [`mas o tipo é ${right.type} por causa de:`, ...indent(rightLines)] : [`mas o tipo é ${right.type}`]),
+        ];
+    }
+    const leftLines = explainSide(left, code);
+    return [
+        ...(leftLines.length ? [`${left.type} por causa de:`, ...indent(leftLines)] : [`${left.type} direto da restrição`]),
+        ...(rightLines.length ? [`mas ${right.type} por causa de:`, ...indent(rightLines)] : [`mas ${right.type} direto da restrição`]),
+    ];
+};
+
+// Nós citados na explicação (para destacar na árvore e no código)
+export const blameNodes = (error) => {
+    if (!error || !error.blame) return [];
+    return [error.blame.left, error.blame.right].flatMap(side => [
+        ...side.chain.map(link => ({ nodeId: link.nodeId, span: link.span })),
+        ...(side.origin ? [{ nodeId: side.origin.nodeId, span: side.origin.span }] : []),
+    ]);
+};
@@ -0,0 +1,118 @@
+// Exportação de uma execução: derivação em LaTeX (bussproofs), trace em Markdown e JSON reimportável
+import { lineCol } from './source.js';
+import { showType, showQualified } from './types.js';
+import { Pattern } from './ast.js';
+import { memoryAt } from './heap.js';
+
+export const TRACE_FORMAT = 'haskell-type-inference-visualizer/trace';
+// Versão 2: cada passo guarda só as entradas do heap alteradas (changes) em vez do heap inteiro (memory).
+// A versão 1 continua importável: a reexecução só compara as mensagens.
+export const TRACE_VERSION = 2;
+
+// --- LaTeX ---
+const latexText = (s) => s
+    .replace(/\s+/g, ' ')
+    .replace(/[\\{}$&#_%^~]/g, (c) => ({ '\\': '\\textbackslash{}', '^': '\\^{}', '~': '\\~{}' }[c] || `\\${c}`));
+
+const latexType = (s) => s
+    .replace(/->/g, '\\to')
+    .replace(/∀/g, '\\forall ')
+    .replace(/⊥/g, '\\bot ')
+    .replace(/\bT(\d+)\b/g, 'T_{$1}')
+    .replace(/\b([A-Z][A-Za-z0-9]*)\b/g, '\\mathrm{$1}');
+
+const INFERENCES = [null, 'UnaryInfC', 'BinaryInfC', 'TrinaryInfC', 'QuaternaryInfC', 'QuinaryInfC'];
+
+// bussproofs aceita no máximo 5 premissas; o excedente vira um grupo sem linha (\noLine)
+const stackPremises = (proofs) => {
+    if (proofs.length <= 5) return { lines: proofs.flat(), count: proofs.length };
+    const rest = stackPremises(proofs.slice(4));
+    const grouped = rest.count === 1 ? rest.lines : [...rest.lines, '\\noLine', `\\${INFERENCES[rest.count]}{}`];
+    return { lines: [...proofs.slice(0, 4).flat(), ...grouped], count: 5 };
+};
+
+const latexProof = (node, result) => {
+    const info = result.nodeTypes[node.uid];
+    const src = `\\texttt{${latexText(result.code.slice(node.start, node.end))}}`;
+    const type = info ? latexType(showType(info.type)) : '?';
+    const judgment = node instanceof Pattern ? `$${src} : ${type}$` : `$\\Gamma \\vdash ${src} : ${type}$`;
+    const premises = stackPremises(node.children().map(child => latexProof(child, result)));
+    const label = `\\RightLabel{\\scriptsize ${info ? latexText(info.rule) : '?'}}`;
+    if (premises.count === 0) return ['\\AxiomC{}', label, `\\UnaryInfC{${judgment}}`];
+    return [...premises.lines, label, `\\${INFERENCES[premises.count]}{${judgment}}`];
+};
+
+// Documento completo; os tipos são os do fim da análise (as variáveis já resolvidas)
+export const toLatex = (result) => {
+    if (!result.ast) throw new Error('Não há AST para exportar');
+    return [
+        '\\documentclass{article}',
+        '\\usepackage{amsmath}',
+        '\\usepackage{bussproofs}',
+        '\\begin{document}',
+        `% ${result.code.replace(/\s+/g, ' ')}`,
+        '\\begin{prooftree}',
+        ...latexProof(result.ast, result),
+        '\\end{prooftree}',
+        '\\end{document}',
+        '',
+    ].join('\n');
+};
+
+// --- Markdown ---
+const mdCell = (s) => s.replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+
+export const toMarkdown = (result) => {
+    const outcome = result.error
+        ? result.errors.map(e => `**Erro:** ${e.message}  `).join('\n')
+        : `**Tipo:** \`${showQualified(result.type)}\``;
+    const rows = result.steps.map((step, i) => {
+        const heap = memoryAt(result.steps, i).map(tv => `${tv.name} = ${tv.val}`).join(', ') || '—';
+        return `| ${i + 1} | ${step.type} | ${mdCell(step.msg)} | ${mdCell(heap)} |`;
+    });
+    return [
+        '# Trace de inferência',
+        '',
+        '```',
+        result.code,
+        '```',
+        '',
+        `**Modo:** ${result.mode}  `,
+        outcome,
+        '',
+        '| # | Tipo | Passo | Heap |',
+        '|---|------|-------|------|',
+        ...rows,
+        '',
+    ].join('\n');
+};
+
+// --- JSON ---
+const withPosition = (error, code) => ({ ...error, ...(error.span ? lineCol(code, error.span.start) : {}) });
+
+export const resultToJSON = (result, { currentStep } = {}) => ({
+    format: TRACE_FORMAT,
+    version: TRACE_VERSION,
+    code: result.code,
+    mode: result.mode,
+    recover: result.recover,
+    prelude: result.prelude,
+    type: result.type ? showQualified(result.type) : null,
+    error: result.error && withPosition(result.error, result.code),
+    errors: result.errors.map(e => withPosition(e, result.code)),
+    ...(currentStep !== undefined ? { currentStep } : {}),
+    steps: result.steps,
+});
+
+const isPrelude = (p) => typeof p === 'object' && !Array.isArray(p) && Object.values(p).every(sig => typeof sig === 'string');
+
+export const parseTraceJSON = (text) => {
+    const data = JSON.parse(text);
+    if (!data || data.format !== TRACE_FORMAT) throw new Error('Arquivo não é um trace exportado pelo visualizador');
+    if (data.version !== 1 && data.version !== TRACE_VERSION) throw new Error(`Versão de trace não suportada: ${data.version}`);
+    if (typeof data.code !== 'string' || !Array.isArray(data.steps)) throw new Error('Trace incompleto');
+    // mode e prelude são opcionais (quem reexecuta usa os padrões), mas, se vierem, precisam valer
+    if (data.mode != null && data.mode !== 'W' && data.mode !== 'constraints') throw new Error(`Modo desconhecido no trace: ${data.mode}`);
+    if (data.prelude != null && !isPrelude(data.prelude)) throw new Error('Prelúdio do trace inválido: esperado um objeto de nome para assinatura');
+    return data;
+};
@@ -0,0 +1,37 @@
+import { runInference, resultToJSON, parseTraceJSON, memoryAt, replayTrace } from './index.js';
+
+const CODE = 'let id = fun x -> x in fun y -> (id y, id 1 == y)';
+
+describe('trace em JSON', () => {
+    test('versão 2: exporta e reimporta sem perdas', () => {
+        const result = runInference(CODE, { mode: 'constraints' });
+        const text = JSON.stringify(resultToJSON(result, { currentStep: 3 }));
+        const data = parseTraceJSON(text);
+        expect(data).toMatchObject({ version: 2, code: CODE, mode: 'constraints', type: 'Int -> (Int, Bool)', currentStep: 3 });
+        expect(data.steps).toEqual(JSON.parse(JSON.stringify(result.steps)));
+        const replay = replayTrace(text);
+        expect(replay.matches).toBe(true);
+        expect(replay.result.steps.map(s => s.msg)).toEqual(result.steps.map(s => s.msg));
+    });
+
+    test('versão 1 (heap inteiro em cada passo) continua importável', () => {
+        const result = runInference(CODE);
+        const v1 = {
+            ...resultToJSON(result),
+            version: 1,
+            steps: result.steps.map(({ changes, ...step }, i) => ({ ...step, memory: memoryAt(result.steps, i) })),
+        };
+        const text = JSON.stringify(v1);
+        expect(parseTraceJSON(text).version).toBe(1);
+        expect(replayTrace(text).matches).toBe(true);
+    });
+
+    test('arquivos estranhos são recusados', () => {
+        expect(() => parseTraceJSON('{"format":"outro"}')).toThrow(/não é um trace/);
+        expect(() => parseTraceJSON(JSON.stringify({ ...resultToJSON(runInference('1')), version: 3 }))).toThrow(/Versão de trace não suportada: 3/);
+        expect(() => parseTraceJSON(JSON.stringify({ ...resultToJSON(runInference('1')), steps: null }))).toThrow(/incompleto/);
+        expect(() => replayTrace(JSON.stringify({ ...resultToJSON(runInference('1')), mode: 'M' }))).toThrow('Modo desconhecido no trace: M');
+        expect(() => replayTrace(JSON.stringify({ ...resultToJSON(runInference('1')), prelude: [1] }))).toThrow(/Prelúdio do trace inválido/);
+        expect(() => replayTrace(JSON.stringify({ ...resultToJSON(runInference('1')), prelude: { id: 1 } }))).toThrow(/Prelúdio do trace inválido/);
+    });
+});
@@ -0,0 +1,64 @@
+// Heap (variáveis de tipo) de cada passo do trace, reconstruído a partir das entradas alteradas
+// que cada passo guarda (changes). A cada CHECKPOINT_EVERY passos o heap completo é guardado,
+// na primeira vez em que é pedido, então navegar pelo trace não refaz o trace inteiro.
+
+const CHECKPOINT_EVERY = 256;
+// steps -> heaps (nome -> entrada) antes dos passos 0, CHECKPOINT_EVERY, 2 * CHECKPOINT_EVERY, ...
+const checkpoints = new WeakMap();
+
+const apply = (heap, step) => { step.changes.forEach(entry => heap.set(entry.name, entry)); };
+
+const heapAt = (steps, index) => {
+    if (!checkpoints.has(steps)) checkpoints.set(steps, [new Map()]);
+    const saved = checkpoints.get(steps);
+    const k = Math.floor(index / CHECKPOINT_EVERY);
+    while (saved.length <= k) {
+        const heap = new Map(saved[saved.length - 1]);
+        const from = (saved.length - 1) * CHECKPOINT_EVERY;
+        for (let i = from; i < from + CHECKPOINT_EVERY; i++) apply(heap, steps[i]);
+        saved.push(heap);
+    }
+    // O Map preserva a ordem de inserção: as variáveis ficam na ordem de criação
+    const heap = new Map(saved[k]);
+    for (let i = k * CHECKPOINT_EVERY; i <= index; i++) apply(heap, steps[i]);
+    return heap;
+};
+
+// Impressão das formas (shapeOf) seguindo os ponteiros do próprio heap, igual a showType naquele passo.
+// Cada construtor tem um id estável, então a impressão é memorizada por id.
+const printer = (heap) => {
+    const memo = new Map();
+    const resolve = (shape) => {
+        while (shape.var && heap.has(shape.var) && heap.get(shape.var).link) shape = heap.get(shape.var).link;
+        return shape;
+    };
+    const isCon = (s) => s.label !== '->' && s.label !== '[ ]' && !s.label.startsWith('(');
+    const atom = (shape) => {
+        const s = resolve(shape);
+        return s.label === '->' || (s.args && s.args.length && isCon(s)) ? `(${show(s)})` : show(s);
+    };
+    const render = ({ label, args }) => {
+        if (label === '->') {
+            const param = resolve(args[0]);
+            return `${param.label === '->' ? `(${show(param)})` : show(param)} -> ${show(args[1])}`;
+        }
+        if (label === '[ ]') return `[${show(args[0])}]`;
+        if (label.startsWith('(')) return `(${args.map(show).join(', ')})`;
+        return [label, ...args.map(atom)].join(' ');
+    };
+    const show = (shape) => {
+        const s = resolve(shape);
+        if (s.var) return s.var;
+        if (!memo.has(s.id)) memo.set(s.id, render(s));
+        return memo.get(s.id);
+    };
+    return show;
+};
+
+// Heap completo no passo index: { name, val, link, quantified, origin, fixpoint, classes } por variável
+export const memoryAt = (steps, index) => {
+    if (index < 0 || index >= steps.length) return [];
+    const heap = heapAt(steps, index);
+    const show = printer(heap);
+    return [...heap.values()].map(entry => ({ ...entry, val: entry.link ? show(entry.link) : '?' }));
+};
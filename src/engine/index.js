@@ -0,0 +1,50 @@
+// API pública do motor de inferência (sem React), usada pela UI e pela CLI
+import { CompileError, lineCol } from './source.js';
+import { prune, typeAtTick, showType, showQualified, alphaEquivalent } from './types.js';
+import { findNode } from './ast.js';
+import { tokenize, Parser } from './parser.js';
+import { InferenceContext, infer } from './infer.js';
+import { CLASSES } from './classes.js';
+import { PRELUDE, PRELUDE_CODE, parseTypeSig, preludeEnv, resolvePrelude } from './prelude.js';
+import { toLatex, toMarkdown, resultToJSON, parseTraceJSON } from './export.js';
+import { explainError, blameNodes } from './explain.js';
+import { memoryAt } from './heap.js';
+import { EVAL_STRATEGIES, evaluate, envBindings, showExpr, showValue } from './eval.js';
+
+export { CompileError, lineCol, prune, typeAtTick, showType, showQualified, alphaEquivalent, CLASSES, findNode, tokenize, Parser, InferenceContext, infer, PRELUDE, PRELUDE_CODE, parseTypeSig, preludeEnv, resolvePrelude };
+export { toLatex, toMarkdown, resultToJSON, parseTraceJSON, explainError, blameNodes, memoryAt };
+export { EVAL_STRATEGIES, evaluate, envBindings, showExpr, showValue };
+
+// Analisa um programa do zero: tokeniza, faz o parse e infere o tipo.
+// Erros de compilação não são lançados; ficam em `errors` (o primeiro também em `error`) e no fim do trace.
+// Com recover, erros de tipo independentes são todos listados; erros léxicos e sintáticos param a análise.
+export const runInference = (code, { prelude = PRELUDE, mode = 'W', recover = false } = {}) => {
+    const ctx = new InferenceContext({ mode, recover });
+    let ast = null;
+    let type = null;
+    try {
+        ast = new Parser(tokenize(code)).parseProgram();
+        const t = ctx.prune(infer(ctx, preludeEnv(prelude), ast));
+        if (ctx.errors.length) ctx.trace(`FALHA: ${ctx.errors.length} erro(s)`, 'error', null);
+        else {
+            type = t;
+            ctx.trace(`RESULTADO: ${showQualified(type)}`, 'success', ast.uid);
+        }
+    } catch (caught) {
+        // Estouro de pilha não é erro de tipo: o programa é aninhado demais para o analisador
+        const e = caught instanceof RangeError ? new Error('Programa aninhado demais para analisar (estouro de pilha)') : caught;
+        ctx.trace(`FALHA: ${e.message}`, 'error', null);
+        ctx.errors.push({ message: e.message, span: e.span || null, blame: e.blame || null });
+    }
+    const errors = ctx.errors;
+    return { code, mode, recover, prelude, ast, type, error: errors[0] || null, errors, steps: ctx.steps, nodeTypes: ctx.nodeTypes, constraints: ctx.constraints };
+};
+
+// Reexecuta um trace exportado em JSON. O motor é determinístico, então a nova execução
+// reproduz os mesmos passos; `matches` indica se as mensagens conferem com as do arquivo.
+export const replayTrace = (text) => {
+    const data = parseTraceJSON(text);
+    const result = runInference(data.code, { prelude: data.prelude || PRELUDE, mode: data.mode || 'W', recover: !!data.recover });
+    const matches = result.steps.length === data.steps.length && result.steps.every((s, i) => s.msg === data.steps[i].msg);
+    return { data: { ...data, prelude: data.prelude || PRELUDE, mode: data.mode || 'W' }, result, matches };
+};
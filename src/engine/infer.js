@@ -0,0 +1,580 @@
+// Motor de inferência: unificação, generalização/instanciação e análise da AST
+import { TypeInt, TypeBool, TypeErr, TypeVar, TypeArrow, TypeList, TypeTuple, TypeCon, TypeScheme, prune, showAtom } from './types.js';
+import { CompileError } from './source.js';
+import { entails, instanceContext } from './classes.js';
+import {
+    EInt, EBool, EVar, ENeg, EBinOp, EIf, EFun, ELet, ELetRec, EApp, EList, EEmptyList, ETuple, EData, ECase, EAlt,
+    PVar, PWild, PLit, PTuple, PNil, PCons, PCon,
+} from './ast.js';
+import { isConName } from './parser.js';
+
+// Estado de uma execução. Cada análise cria o seu, então execuções independentes
+// (UI, CLI, testes em lote) não compartilham variáveis de tipo nem o trace.
+export class InferenceContext {
+    constructor({ mode = 'W', recover = false } = {}) {
+        // 'W': cada restrição é resolvida assim que é gerada; 'constraints': ficam pendentes até settle()
+        this.mode = mode;
+        // Recuperação de erros: o nó (ou restrição) que falha recebe ⊥ e a análise continua,
+        // acumulando em errors todos os erros independentes
+        this.recover = recover;
+        this.errors = [];
+        this.typeVars = [];
+        // Relógio lógico: cada ligação em unify e cada tipo atribuído a um nó recebe um tick,
+        // e cada passo do trace guarda o tick corrente para ser reconstruído depois.
+        this.clock = 0;
+        this.nodeTypes = {};
+        this.constraints = [];
+        // Cada passo guarda só as entradas do heap que mudaram desde o anterior (as variáveis em dirty);
+        // o heap completo de um passo é reconstruído sob demanda por memoryAt (heap.js)
+        this.steps = [];
+        this.dirty = new Set();
+        // Identidade dos nós de construtor no grafo union-find (o mesmo objeto é o mesmo nó)
+        this.shapeIds = new WeakMap();
+        this.shapeCount = 0;
+    }
+    tick() { return ++this.clock; }
+    newTypeVar() { const tv = new TypeVar(`T${this.typeVars.length}`); this.typeVars.push(tv); this.touch(tv); return tv; }
+    // Marca uma variável alterada (ligação, classes, ∀...) para entrar no próximo passo do trace
+    touch(tv) { this.dirty.add(tv); }
+    // prune que registra no trace cada ponteiro reescrito pela compressão de caminhos
+    prune(t) {
+        return prune(t, (tv, skipped, target) => {
+            this.touch(tv);
+            const last = this.steps[this.steps.length - 1];
+            this.trace(`COMPRIMIR: ${tv.name} ⟶ ${target} (pulando ${skipped.name})`, 'compress', last ? last.nodeId : null, { kind: 'compress', var: tv.name, skipped: skipped.name });
+        });
+    }
+    shapeId(t) { if (!this.shapeIds.has(t)) this.shapeIds.set(t, this.shapeCount++); return this.shapeIds.get(t); }
+    // Entradas do heap alteradas desde o último passo. Sem compressão: tirar a foto não pode alterar o que está sendo fotografado
+    takeChanges() {
+        const changes = [...this.dirty].map(tv => ({
+            name: tv.name, link: tv.instance ? shapeOf(this, tv.instance) : null,
+            quantified: tv.quantified, origin: tv.origin, fixpoint: tv.fixpoint, classes: tv.instance ? [] : tv.classes.map(c => c.name),
+        }));
+        this.dirty.clear();
+        return changes;
+    }
+    fail(e, nodeId) {
+        this.errors.push({ message: e.message, span: e.span || null, blame: e.blame || null });
+        this.trace(`ERRO: ${e.message} (recuperado, segue com ⊥)`, 'error', nodeId);
+    }
+    // event: para o grafo union-find, a ligação criada ({ kind: 'bind', var, to, reason, constraint }) ou reescrita ({ kind: 'compress', var, skipped })
+    trace(msg, type, nodeId, event = null) { this.steps.push({ msg, type, changes: this.takeChanges(), nodeId, tick: this.clock, event }); }
+}
+
+// Ponteiro instance como estrutura, sem seguir variáveis: cada variável é uma referência
+// e cada construtor um nó (com id estável entre passos) cujos filhos são seus argumentos
+const shapeOf = (ctx, t) => {
+    if (t instanceof TypeVar) return { var: t.name };
+    if (t instanceof TypeArrow) return { id: ctx.shapeId(t), label: '->', args: [shapeOf(ctx, t.param), shapeOf(ctx, t.ret)] };
+    if (t instanceof TypeList) return { id: ctx.shapeId(t), label: '[ ]', args: [shapeOf(ctx, t.elemType)] };
+    if (t instanceof TypeTuple) return { id: ctx.shapeId(t), label: `(${','.repeat(t.elems.length - 1)})`, args: t.elems.map(e => shapeOf(ctx, e)) };
+    if (t instanceof TypeCon) return { id: ctx.shapeId(t), label: t.name, args: t.args.map(a => shapeOf(ctx, a)) };
+    return { id: ctx.shapeId(t), label: t.id, args: [] };
+};
+
+const occursIn = (ctx, v, t) => {
+    t = ctx.prune(t);
+    if (v === t) return true;
+    if (t instanceof TypeArrow) return occursIn(ctx, v, t.param) || occursIn(ctx, v, t.ret);
+    if (t instanceof TypeList) return occursIn(ctx, v, t.elemType);
+    if (t instanceof TypeTuple) return t.elems.some(e => occursIn(ctx, v, e));
+    if (t instanceof TypeCon) return t.args.some(a => occursIn(ctx, v, a));
+    return false;
+};
+
+// --- Polimorfismo (let): generalização e instanciação ---
+const freeTypeVars = (ctx, t, acc = new Set()) => {
+    t = ctx.prune(t);
+    if (t instanceof TypeVar) acc.add(t);
+    else if (t instanceof TypeArrow) { freeTypeVars(ctx, t.param, acc); freeTypeVars(ctx, t.ret, acc); }
+    else if (t instanceof TypeList) freeTypeVars(ctx, t.elemType, acc);
+    else if (t instanceof TypeTuple) t.elems.forEach(e => freeTypeVars(ctx, e, acc));
+    else if (t instanceof TypeCon) t.args.forEach(a => freeTypeVars(ctx, a, acc));
+    return acc;
+};
+// Ambientes são objetos comuns: só as chaves próprias são variáveis (não constructor, toString...)
+const lookup = (env, name) => (Object.hasOwn(env, name) ? env[name] : undefined);
+const envTypeVars = (ctx, env) => {
+    const acc = new Set();
+    Object.values(env).forEach(s => {
+        if (s instanceof TypeScheme) freeTypeVars(ctx, s.type).forEach(v => { if (!s.vars.includes(v)) acc.add(v); });
+        else freeTypeVars(ctx, s, acc);
+    });
+    return acc;
+};
+const generalize = (ctx, env, t) => {
+    const envVars = envTypeVars(ctx, env);
+    const vars = [...freeTypeVars(ctx, t)].filter(v => !envVars.has(v));
+    vars.forEach(v => { v.quantified = true; ctx.touch(v); });
+    return new TypeScheme(vars, t);
+};
+const instantiate = (ctx, scheme) => {
+    const mapping = new Map(scheme.vars.map(v => {
+        const fresh = ctx.newTypeVar();
+        fresh.origin = v.name;
+        return [v, fresh];
+    }));
+    const copy = (t) => {
+        t = ctx.prune(t);
+        if (t instanceof TypeVar) return mapping.get(t) || t;
+        if (t instanceof TypeArrow) return new TypeArrow(copy(t.param), copy(t.ret));
+        if (t instanceof TypeList) return new TypeList(copy(t.elemType));
+        if (t instanceof TypeTuple) return new TypeTuple(t.elems.map(copy));
+        if (t instanceof TypeCon) return new TypeCon(t.name, t.args.map(copy));
+        return t;
+    };
+    return { type: copy(scheme.type), mapping };
+};
+
+// --- Cadeias de culpa ---
+// Por que t tem o tipo que tem: cada ligação lembra o motivo, a restrição e o nó que a causaram,
+// e o lado da restrição como estava escrito (blame.next), de onde a explicação continua.
+// As ligações só apontam para o passado, então a cadeia termina.
+const blameChain = (t) => {
+    const chain = [];
+    while (t instanceof TypeVar && t.blame) {
+        const { next, ...link } = t.blame;
+        chain.push({ var: t.name, ...link });
+        t = next;
+    }
+    return chain;
+};
+// Um lado do conflito: o tipo, a cadeia até ele e o nó de onde o tipo concreto veio (t.source)
+const blameSide = (orig, t) => ({ type: t.toString(), chain: blameChain(orig), origin: t.source || null });
+const conflict = (message, orig1, t1, orig2, t2) => {
+    const e = new Error(message);
+    e.blame = { kind: 'conflict', left: blameSide(orig1, t1), right: blameSide(orig2, t2) };
+    return e;
+};
+// Conflito entre componentes: a explicação inclui por que cada lado tinha essa estrutura
+const within = (e, orig1, orig2) => {
+    if (e.blame && e.blame.kind === 'conflict') {
+        e.blame.left.chain.push(...blameChain(orig1));
+        e.blame.right.chain.push(...blameChain(orig2));
+    }
+    return e;
+};
+
+// c é a restrição sendo resolvida; cada ligação guarda o motivo (reason) e a restrição que a causou
+const unify = (ctx, orig1, orig2, reason, c) => {
+    const t1 = ctx.prune(orig1);
+    const t2 = ctx.prune(orig2);
+    if (t1 === t2) return;
+    if (t1 instanceof TypeErr || t2 instanceof TypeErr) return;
+    if (t1 instanceof TypeInt && t2 instanceof TypeInt) return;
+    if (t1 instanceof TypeBool && t2 instanceof TypeBool) return;
+    if (t1 instanceof TypeVar) {
+        if (occursIn(ctx, t1, t2)) throw conflict(`Occurs Check: Ciclo infinito (${t1} em ${t2})`, orig1, t1, orig2, t2);
+        t1.instance = t2;
+        ctx.touch(t1);
+        t1.boundTo = t2;
+        t1.bindTick = ctx.tick();
+        t1.blame = { to: orig2 instanceof TypeVar ? orig2.name : orig2.toString(), reason, constraint: c.reason, nodeId: c.nodeId, span: c.span, next: orig2 };
+        ctx.trace(`UNIFICAR: ${t1.name} ⟵ ${t2} (${reason})`, 'success', c.nodeId, { kind: 'bind', var: t1.name, to: `${t2}`, reason, constraint: c.reason });
+        try {
+            t1.classes.forEach(cls => {
+                if (!(t2 instanceof TypeVar)) requireClass(ctx, t1, cls, c.nodeId);
+                else if (addClass(ctx, t2, cls)) ctx.trace(`PROPAGAR: ${cls.name} ${t1.name} ⟶ ${cls.name} ${t2.name}`, 'class', c.nodeId);
+            });
+        } catch (e) {
+            // Sem instância, a ligação não vale: desfeita, a variável não espalha o erro para outros usos
+            t1.instance = null;
+            t1.boundTo = null;
+            t1.bindTick = null;
+            t1.blame = null;
+            ctx.touch(t1);
+            ctx.trace(`DESFAZER: ${t1.name} ⟵ ${t2} (${e.message})`, 'error', c.nodeId);
+            throw e;
+        }
+        return;
+    }
+    if (t2 instanceof TypeVar) {
+        try { unify(ctx, orig2, orig1, reason, c); }
+        catch (e) {
+            if (e.blame && e.blame.kind === 'conflict') [e.blame.left, e.blame.right] = [e.blame.right, e.blame.left];
+            throw e;
+        }
+        return;
+    }
+    const sub = (a, b, why) => {
+        try { unify(ctx, a, b, why, c); }
+        catch (e) { throw within(e, orig1, orig2); }
+    };
+    if (t1 instanceof TypeArrow && t2 instanceof TypeArrow) {
+        sub(t1.param, t2.param, 'Param Função');
+        sub(t1.ret, t2.ret, 'Retorno Função');
+        return;
+    }
+    if (t1 instanceof TypeList && t2 instanceof TypeList) {
+        sub(t1.elemType, t2.elemType, 'Elemento Lista');
+        return;
+    }
+    if (t1 instanceof TypeTuple && t2 instanceof TypeTuple && t1.elems.length === t2.elems.length) {
+        t1.elems.forEach((e, i) => sub(e, t2.elems[i], `Componente ${i + 1} da Tupla`));
+        return;
+    }
+    if (t1 instanceof TypeCon && t2 instanceof TypeCon && t1.name === t2.name && t1.args.length === t2.args.length) {
+        t1.args.forEach((a, i) => sub(a, t2.args[i], `Argumento ${i + 1} de ${t1.name}`));
+        return;
+    }
+    throw conflict(`Incompatível: ${t1} vs ${t2}`, orig1, t1, orig2, t2);
+};
+
+// --- Classes de tipo ---
+// Cada variável carrega as classes exigidas dela; ao ser ligada, repassa as restrições
+// ao novo representante (PROPAGAR) ou as resolve por uma instância (DESCARTAR/REDUZIR).
+const addClass = (ctx, tv, c) => {
+    if (tv.classes.some(d => entails(d.name).includes(c.name))) return false;
+    tv.classes = [...tv.classes.filter(d => !entails(c.name).includes(d.name)), c];
+    ctx.touch(tv);
+    return true;
+};
+
+// c: { name, reason, nodeId, span } — a classe e o nó que a exigiu
+const requireClass = (ctx, orig, c, nodeId) => {
+    const t = ctx.prune(orig);
+    if (t instanceof TypeErr) return;
+    if (t instanceof TypeVar) {
+        if (addClass(ctx, t, c)) ctx.trace(`CLASSE: ${c.name} ${t.name} (${c.reason})`, 'class', nodeId);
+        return;
+    }
+    const parts = instanceContext(c.name, t);
+    if (!parts) {
+        const e = new CompileError(`Sem instância para ${c.name} ${showAtom(t)} (exigida por ${c.reason})`, c.span);
+        e.blame = {
+            kind: 'instance',
+            left: { type: c.name, chain: [], origin: { reason: `exigida por ${c.reason}`, nodeId: c.nodeId, span: c.span } },
+            right: blameSide(orig, t),
+        };
+        throw e;
+    }
+    if (parts.length === 0) ctx.trace(`DESCARTAR: ${c.name} ${showAtom(t)} (instância existente)`, 'class', nodeId);
+    else ctx.trace(`REDUZIR: ${c.name} ${showAtom(t)} ⟶ ${parts.map(p => `${c.name} ${showAtom(p)}`).join(', ')}`, 'class', nodeId);
+    parts.forEach(p => requireClass(ctx, p, c, nodeId));
+};
+
+// Erros sem posição recebem o span do nó mais interno em que ocorreram.
+// Estouro de pilha (RangeError) não é erro do programa: passa adiante sem posição
+const withSpan = (node, fn) => {
+    try { return fn(); }
+    catch (e) {
+        if (!e.span && !(e instanceof RangeError)) e.span = { start: node.start, end: node.end };
+        throw e;
+    }
+};
+
+// Tipa um padrão; as variáveis que ele introduz são acumuladas em bindings (monomórficas)
+const analyzePattern = (ctx, env, pat, bindings) => {
+    const t = recovering(ctx, pat, () => withSpan(pat, () => analyzePatternNode(ctx, env, pat, bindings)));
+    setSource(t, pat.toString(), pat);
+    recordType(ctx, pat, t);
+    return t;
+};
+
+const analyzePatternNode = (ctx, env, pat, bindings) => {
+    ctx.trace(`AST: Analisando ${pat.toString()}`, 'ast', pat.uid);
+
+    if (pat instanceof PVar) {
+        if (lookup(bindings, pat.name)) throw new Error(`Variável '${pat.name}' repetida no padrão`);
+        const tv = ctx.newTypeVar();
+        bindings[pat.name] = tv;
+        ctx.trace(`ESCOPO: ${pat.name} : ${tv.name} (padrão)`, 'warn', pat.uid);
+        return tv;
+    }
+    if (pat instanceof PWild) return ctx.newTypeVar();
+    if (pat instanceof PLit) return typeof pat.val === 'boolean' ? new TypeBool() : new TypeInt();
+    if (pat instanceof PTuple) return new TypeTuple(pat.elems.map(p => analyzePattern(ctx, env, p, bindings)));
+    if (pat instanceof PNil) return new TypeList(ctx.newTypeVar());
+    if (pat instanceof PCons) {
+        const tH = analyzePattern(ctx, env, pat.head, bindings);
+        const tT = analyzePattern(ctx, env, pat.tail, bindings);
+        constrain(ctx, tT, new TypeList(tH), "Padrão ::", pat);
+        return tT;
+    }
+    if (pat instanceof PCon) {
+        const scheme = lookup(env, pat.name);
+        if (!(scheme instanceof TypeScheme) || !isConName(pat.name)) throw new Error(`Construtor '${pat.name}' não existe`);
+        const { type, mapping } = instantiate(ctx, scheme);
+        if (mapping.size) {
+            const copies = [...mapping].map(([v, fresh]) => `${v.name} ↦ ${fresh.name}`).join(', ');
+            ctx.trace(`INST: ${pat.name} : ${type} (${copies})`, 'inst', pat.uid);
+        }
+        let t = type;
+        pat.args.forEach((arg, i) => {
+            t = ctx.prune(t);
+            if (!(t instanceof TypeArrow)) throw new Error(`Construtor '${pat.name}' recebe só ${i} argumento(s)`);
+            constrain(ctx, analyzePattern(ctx, env, arg, bindings), t.param, `Arg ${i + 1} de ${pat.name}`, pat);
+            t = t.ret;
+        });
+        if (ctx.prune(t) instanceof TypeArrow) throw new Error(`Construtor '${pat.name}' aplicado a poucos argumentos`);
+        return t;
+    }
+    throw new Error("Padrão desconhecido");
+};
+
+// --- Restrições: geração e resolução ---
+const constrain = (ctx, left, right, reason, node) => {
+    const c = { id: ctx.constraints.length, left, right, reason, nodeId: node.uid, span: { start: node.start, end: node.end }, status: 'pending', tick: ctx.tick(), doneTick: null };
+    [left, right].forEach(t => setSource(t, reason, node));
+    ctx.constraints.push(c);
+    if (ctx.mode === 'W') { solveOrFail(ctx, c); return; }
+    ctx.trace(`GERAR: ${left} ≐ ${right} (${reason})`, 'constraint', c.nodeId);
+};
+
+const solveConstraint = (ctx, c) => {
+    if (ctx.mode !== 'W') ctx.trace(`RESOLVER: ${c.left} ≐ ${c.right} (${c.reason})`, 'solve', c.nodeId);
+    try { unify(ctx, c.left, c.right, c.reason, c); }
+    catch (e) {
+        c.status = 'failed'; c.doneTick = ctx.tick();
+        if (!e.span) e.span = c.span;
+        throw e;
+    }
+    c.status = 'solved'; c.doneTick = ctx.tick();
+};
+// No modo de recuperação, cada restrição que falha vira um erro e as demais seguem (nos dois modos)
+const solveOrFail = (ctx, c) => {
+    try { solveConstraint(ctx, c); }
+    catch (e) {
+        if (!ctx.recover || e instanceof RangeError) throw e;
+        ctx.fail(e, c.nodeId);
+    }
+};
+
+// Resolve, na ordem em que foram geradas, as restrições ainda pendentes
+const settle = (ctx, reason) => {
+    const pending = ctx.constraints.filter(c => c.status === 'pending');
+    if (pending.length === 0) return;
+    ctx.trace(`FASE DE RESOLUÇÃO: ${pending.length} restrição(ões) pendente(s) (${reason})`, 'info', null);
+    pending.forEach(c => solveOrFail(ctx, c));
+};
+
+// Tipos concretos lembram o nó (e a regra ou restrição) que os criou: é onde as cadeias de culpa terminam
+const setSource = (t, reason, node) => {
+    if (!(t instanceof TypeVar) && !t.source) t.source = { reason, nodeId: node.uid, span: { start: node.start, end: node.end } };
+};
+
+// No modo de recuperação, um erro no próprio nó vira ⊥ e a análise do resto continua
+const recovering = (ctx, node, fn) => {
+    try { return fn(); }
+    catch (e) {
+        if (!ctx.recover || e instanceof RangeError) throw e;
+        ctx.fail(e, node.uid);
+        return new TypeErr();
+    }
+};
+
+// Ponto de entrada: analisa a expressão e resolve o que tiver ficado pendente
+export const infer = (ctx, env, expr) => {
+    const t = analyze(ctx, env, expr);
+    settle(ctx, 'fim da geração');
+    return t;
+};
+
+// Cadeias (a espinha de uma lista, fun x y z, let ... in let ...; à esquerda, a + b + c e f x y z) são percorridas com uma
+// pilha explícita: cada elo faz a parte anterior ao filho da direita (chainLink) e guarda o resto (finish),
+// resolvido na volta, na mesma ordem da recursão. Listas com milhares de elementos não estouram a pilha.
+const analyze = (ctx, env, root) => {
+    const pending = [];
+    let expr = root;
+    let t;
+    for (;;) {
+        const node = expr;
+        const scope = env;
+        const link = recovering(ctx, node, () => withSpan(node, () => chainLink(ctx, scope, node)));
+        if (link instanceof TypeErr) { t = link; break; }
+        if (!link) { t = recovering(ctx, node, () => withSpan(node, () => analyzeExpr(ctx, scope, node))); break; }
+        pending.push({ node, finish: link.finish });
+        env = link.env;
+        expr = link.next;
+    }
+    typed(ctx, expr, t);
+    while (pending.length) {
+        const { node, finish } = pending.pop();
+        const tNext = t;
+        t = recovering(ctx, node, () => withSpan(node, () => finish(tNext)));
+        typed(ctx, node, t);
+    }
+    return t;
+};
+const typed = (ctx, node, t) => {
+    setSource(t, node.toString(), node);
+    recordType(ctx, node, t);
+};
+
+// Regras de tipagem mostradas ao passar o mouse sobre um nó da árvore
+const RULES = new Map([
+    [EInt, ['Lit-Int', '⊢ n : Int']],
+    [EBool, ['Lit-Bool', '⊢ true/false : Bool']],
+    [EVar, ['Var', 'x : σ ∈ Γ, τ = inst(σ) ⇒ Γ ⊢ x : τ']],
+    [ENeg, ['Neg', 'Γ ⊢ e : τ, Num τ ⇒ Γ ⊢ -e : τ']],
+    [EBinOp, ['Op', 'Γ ⊢ e1 : τ, Γ ⊢ e2 : τ, C τ ⇒ Γ ⊢ e1 op e2 : τ (aritméticos) ou Bool (comparações)']],
+    [EIf, ['If', 'Γ ⊢ c : Bool, Γ ⊢ e1 : τ, Γ ⊢ e2 : τ ⇒ Γ ⊢ if c then e1 else e2 : τ']],
+    [EFun, ['Abs', 'Γ, x : τ1 ⊢ e : τ2 ⇒ Γ ⊢ fun x -> e : τ1 -> τ2']],
+    [EApp, ['App', 'Γ ⊢ e1 : τ1 -> τ2, Γ ⊢ e2 : τ1 ⇒ Γ ⊢ e1 e2 : τ2']],
+    [ELet, ['Let', 'Γ ⊢ e1 : τ1, Γ, x : gen(Γ, τ1) ⊢ e2 : τ2 ⇒ Γ ⊢ let x = e1 in e2 : τ2']],
+    [ELetRec, ['LetRec', 'Γ, x : τ1 ⊢ e1 : τ1, Γ, x : gen(Γ, τ1) ⊢ e2 : τ2 ⇒ Γ ⊢ let rec x = e1 in e2 : τ2']],
+    [EList, ['Cons', 'Γ ⊢ e1 : τ, Γ ⊢ e2 : [τ] ⇒ Γ ⊢ e1 :: e2 : [τ]']],
+    [EEmptyList, ['Nil', '⊢ [] : [α]']],
+    [ETuple, ['Tupla', 'Γ ⊢ ei : τi ⇒ Γ ⊢ (e1, ..., en) : (τ1, ..., τn)']],
+    [EData, ['Data', 'Γ, Ci : ∀ᾱ. τi -> T ᾱ ⊢ e : τ ⇒ Γ ⊢ data T ᾱ = ... in e : τ']],
+    [ECase, ['Case', 'Γ ⊢ e : τ, pi : τ ⊣ Γi, Γ ∪ Γi ⊢ ei : τ\' ⇒ Γ ⊢ case e of ... : τ\'']],
+    [EAlt, ['Alt', 'p : τ ⊣ Γp, Γ ∪ Γp ⊢ e : τ\'']],
+    [PVar, ['P-Var', 'x : α ⊣ {x : α}']],
+    [PWild, ['P-Wild', '_ : α ⊣ {}']],
+    [PLit, ['P-Lit', 'n : Int, true/false : Bool']],
+    [PTuple, ['P-Tupla', 'pi : τi ⇒ (p1, ..., pn) : (τ1, ..., τn)']],
+    [PNil, ['P-Nil', '[] : [α]']],
+    [PCons, ['P-Cons', 'p1 : τ, p2 : [τ] ⇒ p1 :: p2 : [τ]']],
+    [PCon, ['P-Con', 'C : τ1 -> ... -> T, pi : τi ⇒ C p1 ... pn : T']],
+]);
+
+// Classe exigida dos operandos e se o resultado tem o tipo dos operandos (senão é Bool)
+const OPERATORS = {
+    '+': ['Num', true], '-': ['Num', true], '*': ['Num', true], '/': ['Num', true],
+    '==': ['Eq', false], '!=': ['Eq', false],
+    '<': ['Ord', false], '>': ['Ord', false], '<=': ['Ord', false], '>=': ['Ord', false],
+};
+
+const recordType = (ctx, node, type) => {
+    const [name, desc] = RULES.get(node.constructor) || ['?', ''];
+    ctx.nodeTypes[node.uid] = { type, rule: name, desc, tick: ctx.tick() };
+};
+
+const analyzeExpr = (ctx, env, expr) => {
+    ctx.trace(`AST: Analisando ${expr.toString()}`, 'ast', expr.uid);
+
+    if (expr instanceof EInt) { return new TypeInt(); }
+    if (expr instanceof EBool) { return new TypeBool(); }
+    if (expr instanceof EVar) {
+        const t = lookup(env, expr.name);
+        if (!t) throw new Error(`Variável '${expr.name}' não existe`);
+        if (!(t instanceof TypeScheme)) return t;
+        if (t.vars.length === 0) return t.type;
+        const { type, mapping } = instantiate(ctx, t);
+        const copies = [...mapping].map(([v, fresh]) => `${v.name} ↦ ${fresh.name}`).join(', ');
+        ctx.trace(`INST: ${expr.name} : ${type} (${copies})`, 'inst', expr.uid);
+        const span = { start: expr.start, end: expr.end };
+        mapping.forEach((fresh, v) => v.classes.forEach(c => requireClass(ctx, fresh, { name: c.name, reason: `uso de ${expr.name}`, nodeId: expr.uid, span }, expr.uid)));
+        return type;
+    }
+    if (expr instanceof EEmptyList) {
+        const tv = ctx.newTypeVar();
+        return new TypeList(tv);
+    }
+    if (expr instanceof ENeg) {
+        const tA = analyze(ctx, env, expr.arg);
+        const tOp = ctx.newTypeVar();
+        requireClass(ctx, tOp, { name: 'Num', reason: 'menos unário', nodeId: expr.uid, span: { start: expr.start, end: expr.end } }, expr.uid);
+        constrain(ctx, tA, tOp, 'Operando de menos unário', expr);
+        return tOp;
+    }
+    if (expr instanceof EIf) {
+        const tC = analyze(ctx, env, expr.cond);
+        constrain(ctx, tC, new TypeBool(), "Condição If", expr);
+        const tT = analyze(ctx, env, expr.thenBr);
+        const tE = analyze(ctx, env, expr.elseBr);
+        constrain(ctx, tT, tE, "Ramos Then/Else", expr);
+        return tT;
+    }
+    if (expr instanceof ETuple) {
+        return new TypeTuple(expr.elems.map(e => analyze(ctx, env, e)));
+    }
+    if (expr instanceof ECase) {
+        const tS = analyze(ctx, env, expr.scrutinee);
+        const tR = ctx.newTypeVar();
+        expr.alts.forEach(alt => {
+            ctx.trace(`AST: Analisando ${alt.toString()}`, 'ast', alt.uid);
+            const bindings = Object.create(null);
+            const tP = analyzePattern(ctx, env, alt.pat, bindings);
+            constrain(ctx, tP, tS, "Padrão do Case", alt.pat);
+            const tB = analyze(ctx, { ...env, ...bindings }, alt.body);
+            constrain(ctx, tR, tB, "Ramos do Case", alt.body);
+            recordType(ctx, alt, tB);
+        });
+        return tR;
+    }
+    throw new Error("Desconhecido");
+};
+
+// Elo de uma cadeia: { env, next, finish } com o ambiente e o filho que continua a cadeia (o da direita;
+// em operadores e aplicações, o da esquerda) e o que falta depois dele (finish recebe o tipo do filho);
+// null para os demais nós, analisados por analyzeExpr
+const CHAINS = [EList, EFun, ELet, ELetRec, EData, EBinOp, EApp];
+const chainLink = (ctx, env, expr) => {
+    if (!CHAINS.some(kind => expr instanceof kind)) return null;
+    ctx.trace(`AST: Analisando ${expr.toString()}`, 'ast', expr.uid);
+    const same = (t) => t;
+
+    if (expr instanceof EBinOp) {
+        return {
+            env, next: expr.left,
+            finish: (tL) => {
+                const tR = analyze(ctx, env, expr.right);
+                if (!OPERATORS[expr.op]) throw new Error(`Operador '${expr.op}' não suportado em expressões`);
+                const [cls, sameType] = OPERATORS[expr.op];
+                const tOp = ctx.newTypeVar();
+                requireClass(ctx, tOp, { name: cls, reason: `operador '${expr.op}'`, nodeId: expr.uid, span: { start: expr.start, end: expr.end } }, expr.uid);
+                constrain(ctx, tL, tOp, `Esq de '${expr.op}'`, expr);
+                constrain(ctx, tR, tOp, `Dir de '${expr.op}'`, expr);
+                return sameType ? tOp : new TypeBool();
+            },
+        };
+    }
+    if (expr instanceof EApp) {
+        return {
+            env, next: expr.func,
+            finish: (tF) => {
+                const tA = analyze(ctx, env, expr.arg);
+                const tR = ctx.newTypeVar();
+                constrain(ctx, tF, new TypeArrow(tA, tR), "Aplicação", expr);
+                return tR;
+            },
+        };
+    }
+
+    if (expr instanceof EList) {
+        const tHead = analyze(ctx, env, expr.head);
+        return {
+            env, next: expr.tail,
+            finish: (tTail) => {
+                constrain(ctx, tTail, new TypeList(tHead), "Lista Homogênea", expr);
+                return new TypeList(tHead);
+            },
+        };
+    }
+    if (expr instanceof EFun) {
+        const pT = ctx.newTypeVar();
+        ctx.trace(`ESCOPO: ${expr.param} : ${pT.name}`, 'warn', expr.uid);
+        return { env: { ...env, [expr.param]: pT }, next: expr.body, finish: (bT) => new TypeArrow(pT, bT) };
+    }
+    if (expr instanceof ELet) {
+        const vT = analyze(ctx, env, expr.val);
+        settle(ctx, `generalização de ${expr.name}`);
+        const scheme = generalize(ctx, env, vT);
+        ctx.trace(`GEN: ${expr.name} : ${scheme}`, 'gen', expr.uid);
+        return { env: { ...env, [expr.name]: scheme }, next: expr.body, finish: same };
+    }
+    if (expr instanceof ELetRec) {
+        // O nome é visível (monomórfico) dentro da própria definição
+        const fT = ctx.newTypeVar();
+        fT.fixpoint = expr.name;
+        ctx.trace(`ESCOPO: ${expr.name} : ${fT.name} (recursivo)`, 'warn', expr.uid);
+        const vT = analyze(ctx, { ...env, [expr.name]: fT }, expr.val);
+        ctx.trace(`PONTO FIXO: ${expr.name} : ${fT.name} ≡ ${vT}`, 'fix', expr.uid);
+        constrain(ctx, fT, vT, "Ponto Fixo (let rec)", expr);
+        settle(ctx, `generalização de ${expr.name}`);
+        const scheme = generalize(ctx, env, vT);
+        ctx.trace(`GEN: ${expr.name} : ${scheme}`, 'gen', expr.uid);
+        return { env: { ...env, [expr.name]: scheme }, next: expr.body, finish: same };
+    }
+    const result = new TypeCon(expr.name, expr.params);
+    const newEnv = { ...env };
+    expr.ctors.forEach(c => {
+        const scheme = new TypeScheme(expr.params, c.args.reduceRight((ret, arg) => new TypeArrow(arg, ret), result));
+        newEnv[c.name] = scheme;
+        ctx.trace(`CONSTRUTOR: ${c.name} : ${scheme}`, 'warn', expr.uid);
+    });
+    return { env: newEnv, next: expr.body, finish: same };
+};
+
@@ -0,0 +1,166 @@
+import { runInference, evaluate, findNode, showType, showQualified } from './index.js';
+
+const typeOf = (code, options) => {
+    const r = runInference(code, options);
+    return r.type ? showQualified(r.type) : null;
+};
+const errorOf = (code, options) => runInference(code, options).error?.message;
+
+describe('inferência', () => {
+    test.each(['W', 'constraints'])('let generaliza; lambda não (%s)', (mode) => {
+        expect(typeOf('let id = fun x -> x in (id 1, id true)', { mode })).toBe('(Int, Bool)');
+        expect(errorOf('(fun id -> (id 1, id true)) (fun x -> x)', { mode })).toBe('Incompatível: Int vs Bool');
+    });
+
+    test.each(['W', 'constraints'])('let rec (%s)', (mode) => {
+        expect(typeOf('let rec fact = fun n -> if n == 0 then 1 else n * fact (n - 1) in fact', { mode })).toBe('Int -> Int');
+        expect(typeOf('let rec len = fun xs -> case xs of [] -> 0 | _ :: t -> 1 + len t in len', { mode })).toBe('[T8] -> Int');
+        expect(errorOf('let rec f = fun x -> f in f', { mode })).toMatch(/^Occurs Check/);
+    });
+
+    test('classes de tipo', () => {
+        expect(typeOf('fun x -> x == x')).toBe('Eq T1 => T1 -> Bool');
+        expect(typeOf('fun x y -> x < y')).toBe('Ord T2 => T2 -> T2 -> Bool');
+        expect(errorOf('(fun x -> x) == (fun x -> x)')).toBe("Sem instância para Eq (T0 -> T0) (exigida por operador '==')");
+        const { error } = runInference('fun x -> x + true');
+        expect(error.message).toBe("Sem instância para Num Bool (exigida por operador '+')");
+        expect(error.blame.kind).toBe('instance');
+    });
+
+    test('uids determinísticos, em pré-ordem', () => {
+        const code = 'let f = fun x -> [x, 1] in case f 2 of [] -> 0 | y :: _ -> y';
+        const uids = (ast) => {
+            const out = [];
+            const stack = [ast];
+            while (stack.length) {
+                const node = stack.pop();
+                out.push(node.uid);
+                stack.push(...node.children().slice().reverse());
+            }
+            return out;
+        };
+        const first = uids(runInference(code).ast);
+        expect(uids(runInference(code).ast)).toEqual(first);
+        expect(first).toEqual(first.map((_, i) => `n${i}`));
+        expect(Object.keys(runInference(code).nodeTypes)).toEqual(Object.keys(runInference(code).nodeTypes));
+    });
+});
+
+const bigList = (n) => `[${Array.from({ length: n }, (_, i) => i).join(', ')}]`;
+
+describe('programas profundos', () => {
+    test('lista com 5000 elementos tem tipo nos dois modos, com e sem recuperação', () => {
+        for (const mode of ['W', 'constraints']) {
+            for (const recover of [false, true]) {
+                const r = runInference(bigList(5000), { mode, recover });
+                expect(r.errors).toEqual([]);
+                expect(showType(r.type)).toBe('[Int]');
+            }
+        }
+    });
+
+    test('lista com 5000 elementos: findNode e as duas estratégias de avaliação', () => {
+        const r = runInference(`length ${bigList(5000)}`);
+        expect(findNode(r.ast, 'n10002')).not.toBeNull();
+        const literal = runInference(bigList(5000));
+        for (const strategy of ['substitution', 'environment']) {
+            expect(evaluate(literal, { strategy }).value).toBe(bigList(5000));
+        }
+    });
+
+    test('cadeias à esquerda com milhares de nós: soma e aplicação', () => {
+        const sum = ['0', ...Array(4999).fill('1')].join(' + ');
+        for (const recover of [false, true]) {
+            const r = runInference(sum, { recover });
+            expect(r.errors).toEqual([]);
+            expect(showType(r.type)).toBe('Int');
+        }
+        // const com 1500 argumentos: um erro de tipo comum, não um estouro de pilha
+        const r = runInference(`const${' 1'.repeat(1500)}`, { recover: true });
+        expect(r.errors.map(e => e.message)[0]).toBe('Incompatível: Int vs Int -> T4');
+        expect(evaluate(runInference(['0', ...Array(1499).fill('1')].join(' + ')), { strategy: 'environment' }).value).toBe('1499');
+    });
+
+    test('estouro de pilha não vira erro de tipo recuperável', () => {
+        const r = runInference(`${'fun x -> '.repeat(20000)}1`, { recover: true });
+        expect(r.errors).toHaveLength(1);
+        expect(r.errors[0].message).toMatch(/aninhado demais/);
+        expect(r.errors[0].span).toBeNull();
+    });
+});
+
+describe('modo de recuperação', () => {
+    const messages = (code, mode) => runInference(code, { mode, recover: true }).errors.map(e => e.message);
+
+    test.each(['W', 'constraints'])('cada restrição que falha vira um erro (%s)', (mode) => {
+        expect(messages('if 1 then (1 + true) else (not 3)', mode)).toEqual([
+            'Incompatível: Int vs Bool',
+            'Incompatível: Bool vs Int',
+            'Incompatível: Bool vs Int',
+        ]);
+    });
+
+    test.each(['W', 'constraints'])('ligação sem instância de classe é desfeita, sem erro em cascata (%s)', (mode) => {
+        expect(messages('let f = fun x -> x + true in f 1', mode)).toEqual([
+            "Sem instância para Num Bool (exigida por operador '+')",
+        ]);
+    });
+
+    test('sem recuperação, só o primeiro erro', () => {
+        const r = runInference('if 1 then (1 + true) else (not 3)');
+        expect(r.errors).toHaveLength(1);
+        expect(r.error.span).toEqual({ start: 0, end: 33 });
+    });
+});
+
+describe('data', () => {
+    const firstError = (code) => runInference(code).error?.message;
+
+    test('tipos recursivos e campos com tipos compostos', () => {
+        expect(showType(runInference('data L a = Nil | Cons a (L a) in Cons 1 Nil').type)).toBe('L Int');
+        expect(showType(runInference('data T = C (Int -> [Bool], (Int, T)) in C').type)).toBe('(Int -> [Bool], (Int, T)) -> T');
+    });
+
+    test('redeclarar um tipo é erro, mesmo em escopos diferentes', () => {
+        expect(firstError('data T = A in (data T = B in fun x -> case x of B -> 1) A')).toBe("Tipo 'T' já declarado");
+        expect(firstError('(data T = A in A, data T = B in B)')).toBe("Tipo 'T' já declarado");
+        expect(firstError('data Int = I in 1')).toBe("Tipo 'Int' já declarado");
+    });
+
+    test('construtores repetidos', () => {
+        expect(firstError('data T = A | A in 1')).toBe("Construtor 'A' já declarado");
+        expect(firstError('data T = A in data U = A in 1')).toBe("Construtor 'A' já declarado");
+    });
+
+    test('campos com tipo desconhecido ou com aridade errada', () => {
+        expect(firstError('data T = C Foo in 1')).toBe('Tipo desconhecido: Foo');
+        expect(firstError('data T a = C (Maybe) in 1')).toBe('Tipo desconhecido: Maybe');
+        expect(firstError('data Maybe a = N | J a in data T a = C (Maybe) in 1')).toBe("Tipo 'Maybe' espera 1 argumento(s), recebeu 0");
+        expect(firstError('data Maybe a = N | J a in data T a = C (Maybe a a) in 1')).toBe("Tipo 'Maybe' espera 1 argumento(s), recebeu 2");
+    });
+});
+
+describe('ambiente', () => {
+    test.each(['constructor', 'toString 1', '__proto__', 'hasOwnProperty'])('nomes de Object.prototype não são variáveis: %s', (code) => {
+        const r = runInference(code);
+        expect(r.type).toBeNull();
+        expect(r.error.message).toBe(`Variável '${code.split(' ')[0]}' não existe`);
+    });
+
+    test('variável de padrão com nome de Object.prototype', () => {
+        expect(showType(runInference('fun x -> case x of __proto__ -> __proto__ + 1').type)).toBe('Int -> Int');
+    });
+});
+
+describe('spans', () => {
+    const spanText = (code, span) => code.slice(span.start, span.end);
+
+    test('expressões e padrões entre parênteses incluem os parênteses', () => {
+        const code = 'if true then (1 + true) else 2';
+        expect(spanText(code, runInference(code).error.span)).toBe('(1 + true)');
+        const pattern = 'case [1] of (x :: (true)) -> x';
+        const { error } = runInference(pattern);
+        expect(spanText(pattern, error.span)).toBe('(x :: (true))');
+        expect(spanText(pattern, error.blame.left.origin.span)).toBe('(true)');
+    });
+});
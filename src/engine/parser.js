@@ -0,0 +1,385 @@
+// Parser: tokenize e descida recursiva sobre expressões, padrões e tipos
+import { CompileError } from './source.js';
+import { CLASSES, entails } from './classes.js';
+import { TypeInt, TypeBool, TypeVar, TypeArrow, TypeList, TypeTuple, TypeCon, TypeScheme } from './types.js';
+import {
+    EInt, EBool, EVar, ENeg, EBinOp, EIf, EFun, ELet, ELetRec, EApp, EList, EEmptyList, ETuple, EData, ECase, EAlt,
+    PVar, PWild, PLit, PTuple, PNil, PCons, PCon, numberNodes,
+} from './ast.js';
+
+export const tokenize = (input) => {
+    const regex = /\s+|(\d+)|(true|false)\b|(let|rec|in|if|then|else|fun|data|case|of)\b|(->)|(==|=>|!=|\/=|<=|>=|<|>|\+|-|\*|\/|::|:|=)|([a-zA-Z_][a-zA-Z0-9_]*)|(\[|\]|\(|\)|,|\||\\)/y;
+    const tokens = [];
+    while (regex.lastIndex < input.length) {
+        const start = regex.lastIndex;
+        const match = regex.exec(input);
+        if (!match) throw new CompileError(`Erro Léxico: caractere inesperado '${input[start]}'`, { start, end: start + 1 });
+        const pos = { start, end: regex.lastIndex };
+        if (match[0].trim().length === 0) continue;
+        if (match[1]) tokens.push({ type: 'NUM', val: parseInt(match[1]), ...pos });
+        else if (match[2]) tokens.push({ type: 'BOOL', val: match[2] === 'true', ...pos });
+        else if (match[3]) tokens.push({ type: 'KW', val: match[3], ...pos });
+        else if (match[4]) tokens.push({ type: 'ARROW', val: '->', ...pos });
+        else if (match[5]) tokens.push({ type: 'OP', val: match[5], ...pos });
+        else if (match[6]) tokens.push({ type: 'ID', val: match[6], ...pos });
+        else if (match[7]) tokens.push({ type: 'PUNC', val: match[7], ...pos });
+    }
+    return tokens;
+};
+
+export const isConName = (name) => /^[A-Z]/.test(name);
+
+// Precedência e associatividade dos operadores binários (as do Haskell).
+// `::` (ML) e `:` (Haskell) são o mesmo cons; `!=` e `/=` a mesma desigualdade.
+export const FIXITY = {
+    '*': [7, 'left'], '/': [7, 'left'],
+    '+': [6, 'left'], '-': [6, 'left'],
+    '::': [5, 'right'], ':': [5, 'right'],
+    '==': [4, 'none'], '!=': [4, 'none'], '/=': [4, 'none'], '<': [4, 'none'], '>': [4, 'none'], '<=': [4, 'none'], '>=': [4, 'none'],
+};
+const isCons = (op) => op === '::' || op === ':';
+const binary = (op, left, right) => (isCons(op) ? new EList(left, right) : new EBinOp(op === '/=' ? '!=' : op, left, right));
+const isBinaryOp = (t) => t && t.type === 'OP' && FIXITY[t.val] !== undefined;
+// Parâmetros criados pelas seções de operador; o tokenize não aceita esses nomes, então não capturam variáveis do usuário
+const SECTION_LEFT = 'x₁';
+const SECTION_RIGHT = 'x₂';
+const startsAtom = (t) => t && (t.type === 'NUM' || t.type === 'BOOL' || t.type === 'ID' || (t.type === 'PUNC' && (t.val === '(' || t.val === '[')));
+const startsTypeAtom = (t) => t && (t.type === 'ID' || (t.type === 'PUNC' && (t.val === '(' || t.val === '[')));
+
+// Assinaturas do prelúdio podem citar qualquer tipo pelo nome
+const anyCon = (tok, args) => new TypeCon(tok.val, args);
+
+export class Parser {
+    // dataScope: tipos declarados com data visíveis no ponto atual ({ name, arity }).
+    // declared: todos os tipos e construtores do programa; redeclarar é erro, então o nome identifica o tipo
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.dataScope = [];
+        this.declared = { types: new Set(['Int', 'Bool']), ctors: new Set() };
+    }
+    peek() { return this.tokens[this.pos]; }
+    consume() { return this.tokens[this.pos++]; }
+    match(type, val) {
+        const t = this.peek();
+        if (t && t.type === type && (!val || t.val === val)) { this.consume(); return true; }
+        return false;
+    }
+    expect(type, val) {
+        const t = this.peek();
+        if (!this.match(type, val)) throw new CompileError(`Erro Sintático: Esperado ${val||type}, achou ${t ? t.val : 'fim do código'}`, this.spanOf(t));
+        return this.tokens[this.pos - 1];
+    }
+    expectId(msg) {
+        const t = this.peek();
+        if (!t || t.type !== 'ID') throw new CompileError(msg, this.spanOf(t));
+        return this.consume();
+    }
+    // Span de um token; no fim da entrada, um span vazio logo após o último token
+    spanOf(t) {
+        if (t) return { start: t.start, end: t.end };
+        const last = this.tokens[this.tokens.length - 1];
+        return last ? { start: last.end, end: last.end } : { start: 0, end: 0 };
+    }
+
+    parseAtom() {
+        const t = this.peek();
+        if (!t) throw new CompileError("Erro Sintático: Fim inesperado", this.spanOf(t));
+        if (t.type === 'NUM') { this.consume(); return new EInt(t.val).at(t.start, t.end); }
+        if (t.type === 'BOOL') { this.consume(); return new EBool(t.val).at(t.start, t.end); }
+        if (t.type === 'ID') { this.consume(); return new EVar(t.val).at(t.start, t.end); }
+        // [e1, ..., en] vira e1 :: ... :: en :: []
+        if (this.match('PUNC', '[')) {
+            const close = this.peek();
+            if (this.match('PUNC', ']')) return new EEmptyList().at(t.start, close.end);
+            const elems = [];
+            do { elems.push(this.parseExpression()); } while (this.match('PUNC', ','));
+            const end = this.expect('PUNC', ']').end;
+            return elems.reduceRight((tail, head, i) => new EList(head, tail).at(i === 0 ? t.start : head.start, end), new EEmptyList().at(end - 1, end));
+        }
+        if (this.match('PUNC', '(')) {
+            const section = this.parseRightSection(t);
+            if (section) return section;
+            const e = this.parseExpression();
+            const op = this.peek();
+            if (isBinaryOp(op) && this.tokens[this.pos + 1]?.val === ')') {
+                this.consume();
+                const end = this.expect('PUNC', ')').end;
+                return this.section(op.val, e, null, t.start, end);
+            }
+            // O span inclui os parênteses: trechos citados ficam balanceados
+            if (!this.match('PUNC', ',')) return e.at(t.start, this.expect('PUNC', ')').end);
+            const elems = [e];
+            do { elems.push(this.parseExpression()); } while (this.match('PUNC', ','));
+            const end = this.expect('PUNC', ')').end;
+            return new ETuple(elems).at(t.start, end);
+        }
+        throw new CompileError(`Erro Sintático: Token inesperado: ${t.val}`, this.spanOf(t));
+    }
+    parseApp() {
+        let expr = this.parseAtom();
+        while (true) {
+            const t = this.peek();
+            if (startsAtom(t)) {
+                const arg = this.parseAtom();
+                expr = new EApp(expr, arg).at(expr.start, arg.end);
+            } else break;
+        }
+        return expr;
+    }
+    // Seções: (op), (op e) e (e op) viram funções, fun x₁ -> fun x₂ -> x₁ op x₂ etc.; (- e) é negação, não seção
+    parseRightSection(open) {
+        const op = this.peek();
+        if (!isBinaryOp(op)) return null;
+        const closes = this.tokens[this.pos + 1]?.val === ')';
+        if (op.val === '-' && !closes) return null;
+        this.consume();
+        if (this.peek()?.val === ')') return this.section(op.val, null, null, open.start, this.consume().end);
+        const [prec, assoc] = FIXITY[op.val];
+        const right = this.parseBinary(assoc === 'right' ? prec : prec + 1);
+        const end = this.expect('PUNC', ')').end;
+        return this.section(op.val, null, right, open.start, end);
+    }
+    section(op, left, right, start, end) {
+        const param = (name) => new EVar(name).at(start, end);
+        const body = binary(op, left || param(SECTION_LEFT), right || param(SECTION_RIGHT)).at(start, end);
+        const withRight = right ? body : new EFun(SECTION_RIGHT, body).at(start, end);
+        return left ? withRight : new EFun(SECTION_LEFT, withRight).at(start, end);
+    }
+    // Operando: menos unário (mais forte que + e -, mais fraco que * e /) ou uma expressão
+    // iniciada por palavra-chave, que se estende até o fim (1 + if c then 2 else 3)
+    parseOperand() {
+        const t = this.peek();
+        if (t && t.type === 'OP' && t.val === '-') {
+            this.consume();
+            const arg = this.parseBinary(7);
+            return new ENeg(arg).at(t.start, arg.end);
+        }
+        if (t && ((t.type === 'KW' && ['let', 'fun', 'if', 'case', 'data'].includes(t.val)) || (t.type === 'PUNC' && t.val === '\\'))) return this.parseExpression();
+        return this.parseApp();
+    }
+    // Precedence climbing: só continua com operadores de precedência >= minPrec
+    parseBinary(minPrec = 0) {
+        let left = this.parseOperand();
+        while (true) {
+            const t = this.peek();
+            if (!isBinaryOp(t) || this.tokens[this.pos + 1]?.val === ')') break;
+            const [prec, assoc] = FIXITY[t.val];
+            if (prec < minPrec) break;
+            this.consume();
+            const right = this.parseBinary(assoc === 'right' ? prec : prec + 1);
+            left = binary(t.val, left, right).at(left.start, right.end);
+            const next = this.peek();
+            if (assoc === 'none' && isBinaryOp(next) && FIXITY[next.val][0] === prec) {
+                throw new CompileError(`Erro Sintático: '${t.val}' e '${next.val}' não são associativos; use parênteses`, this.spanOf(next));
+            }
+        }
+        return left;
+    }
+    parseExpression() {
+        const start = this.peek()?.start;
+        if (this.match('KW', 'let')) {
+            const isRec = this.match('KW', 'rec');
+            const id = this.expectId(`Erro Sintático: Esperado ID após ${isRec ? 'let rec' : 'let'}`);
+            this.expect('OP', '='); const val = this.parseExpression();
+            this.expect('KW', 'in'); const body = this.parseExpression();
+            return new (isRec ? ELetRec : ELet)(id.val, val, body).at(start, body.end);
+        }
+        // fun x y -> e e \x y -> e viram funções aninhadas de um parâmetro: fun x -> fun y -> e
+        const lambda = this.peek();
+        if (this.match('KW', 'fun') || this.match('PUNC', '\\')) {
+            const params = [this.expectId(`Erro Sintático: Esperado param após ${lambda.val}`)];
+            while (this.peek()?.type === 'ID') params.push(this.consume());
+            this.expect('ARROW'); const body = this.parseExpression();
+            return params.reduceRight((inner, p, i) => new EFun(p.val, inner).at(i === 0 ? start : p.start, body.end), body);
+        }
+        if (this.match('KW', 'if')) {
+            const c = this.parseExpression(); this.expect('KW', 'then');
+            const t = this.parseExpression(); this.expect('KW', 'else');
+            const e = this.parseExpression();
+            return new EIf(c, t, e).at(start, e.end);
+        }
+        if (this.match('KW', 'data')) return this.parseData(start);
+        if (this.match('KW', 'case')) {
+            const scrutinee = this.parseExpression(); this.expect('KW', 'of');
+            this.match('PUNC', '|');
+            const alts = [];
+            do {
+                const pat = this.parsePattern(); this.expect('ARROW');
+                const body = this.parseExpression();
+                alts.push(new EAlt(pat, body).at(pat.start, body.end));
+            } while (this.match('PUNC', '|'));
+            return new ECase(scrutinee, alts).at(start, alts[alts.length - 1].end);
+        }
+        return this.parseBinary();
+    }
+    // data Nome a b = C1 t1 t2 | C2 | ... in corpo
+    parseData(start) {
+        const name = this.expectId("Erro Sintático: Esperado nome do tipo após data");
+        if (!isConName(name.val)) throw new CompileError(`Erro Sintático: Nome de tipo deve começar com maiúscula: ${name.val}`, this.spanOf(name));
+        if (this.declared.types.has(name.val)) throw new CompileError(`Tipo '${name.val}' já declarado`, this.spanOf(name));
+        this.declared.types.add(name.val);
+        const params = new Map();
+        while (this.peek()?.type === 'ID') {
+            const p = this.consume();
+            if (isConName(p.val) || params.has(p.val)) throw new CompileError(`Erro Sintático: Parâmetro de tipo inválido: ${p.val}`, this.spanOf(p));
+            params.set(p.val, new TypeVar(p.val));
+        }
+        const resolveVar = (tok) => {
+            if (!params.has(tok.val)) throw new CompileError(`Erro Sintático: Variável de tipo '${tok.val}' não declarada em data ${name.val}`, this.spanOf(tok));
+            return params.get(tok.val);
+        };
+        // O tipo já é visível nos campos (tipos recursivos) e continua visível no corpo
+        this.dataScope.push({ name: name.val, arity: params.size });
+        const resolveCon = (tok, args) => {
+            const decl = this.dataScope.find(d => d.name === tok.val);
+            if (!decl) throw new CompileError(`Tipo desconhecido: ${tok.val}`, this.spanOf(tok));
+            if (decl.arity !== args.length) throw new CompileError(`Tipo '${tok.val}' espera ${decl.arity} argumento(s), recebeu ${args.length}`, this.spanOf(tok));
+            return new TypeCon(tok.val, args);
+        };
+        this.expect('OP', '=');
+        this.match('PUNC', '|');
+        const ctors = [];
+        do {
+            const c = this.expectId("Erro Sintático: Esperado construtor");
+            if (!isConName(c.val)) throw new CompileError(`Erro Sintático: Construtor deve começar com maiúscula: ${c.val}`, this.spanOf(c));
+            if (this.declared.ctors.has(c.val)) throw new CompileError(`Construtor '${c.val}' já declarado`, this.spanOf(c));
+            this.declared.ctors.add(c.val);
+            const args = [];
+            while (startsTypeAtom(this.peek())) args.push(this.parseTypeAtom(resolveVar, resolveCon));
+            ctors.push({ name: c.val, args });
+        } while (this.match('PUNC', '|'));
+        this.expect('KW', 'in');
+        const body = this.parseExpression();
+        this.dataScope.pop();
+        return new EData(name.val, [...params.values()], ctors, body).at(start, body.end);
+    }
+
+    // Tipos: t1 -> t2, C t1 t2, [t], (t1, t2), Int, Bool, variáveis minúsculas.
+    // resolveCon(tok, args) monta (e confere) as aplicações de tipos declarados com data
+    parseType(resolveVar, resolveCon = anyCon) {
+        const param = this.parseTypeApp(resolveVar, resolveCon);
+        if (this.match('ARROW')) return new TypeArrow(param, this.parseType(resolveVar, resolveCon));
+        return param;
+    }
+    parseTypeApp(resolveVar, resolveCon = anyCon) {
+        const t = this.peek();
+        if (t && t.type === 'ID' && isConName(t.val) && t.val !== 'Int' && t.val !== 'Bool') {
+            this.consume();
+            const args = [];
+            while (startsTypeAtom(this.peek())) args.push(this.parseTypeAtom(resolveVar, resolveCon));
+            return resolveCon(t, args);
+        }
+        return this.parseTypeAtom(resolveVar, resolveCon);
+    }
+    parseTypeAtom(resolveVar, resolveCon = anyCon) {
+        const t = this.peek();
+        if (t && t.type === 'ID') {
+            this.consume();
+            if (t.val === 'Int') return new TypeInt();
+            if (t.val === 'Bool') return new TypeBool();
+            if (isConName(t.val)) return resolveCon(t, []);
+            return resolveVar(t);
+        }
+        if (this.match('PUNC', '[')) { const elem = this.parseType(resolveVar, resolveCon); this.expect('PUNC', ']'); return new TypeList(elem); }
+        if (this.match('PUNC', '(')) {
+            const first = this.parseType(resolveVar, resolveCon);
+            if (!this.match('PUNC', ',')) { this.expect('PUNC', ')'); return first; }
+            const elems = [first];
+            do { elems.push(this.parseType(resolveVar, resolveCon)); } while (this.match('PUNC', ','));
+            this.expect('PUNC', ')');
+            return new TypeTuple(elems);
+        }
+        throw new CompileError(`Erro Sintático: Tipo inválido: ${t ? t.val : 'fim do código'}`, this.spanOf(t));
+    }
+    // Assinatura completa, com contexto opcional (Eq a => ...); cada variável minúscula vira uma variável quantificada
+    parseTypeScheme() {
+        const vars = new Map();
+        const resolveVar = (tok) => {
+            if (!vars.has(tok.val)) vars.set(tok.val, new TypeVar(tok.val));
+            return vars.get(tok.val);
+        };
+        const preds = this.tokens.some(t => t.type === 'OP' && t.val === '=>') ? this.parseContext(resolveVar) : [];
+        const used = new Set();
+        const type = this.parseType((tok) => { used.add(tok.val); return resolveVar(tok); });
+        const t = this.peek();
+        if (t) throw new CompileError(`Erro Sintático: Token inesperado: ${t.val}`, this.spanOf(t));
+        preds.forEach(({ cls, tok }) => {
+            if (!used.has(tok.val)) throw new CompileError(`Variável '${tok.val}' do contexto não aparece no tipo`, this.spanOf(tok));
+            const tv = vars.get(tok.val);
+            if (tv.classes.some(c => entails(c.name).includes(cls))) return;
+            tv.classes = [...tv.classes.filter(c => !entails(cls).includes(c.name)), { name: cls }];
+        });
+        return new TypeScheme([...vars.values()], type);
+    }
+    // Contexto de classes: C a => ... ou (C1 a, C2 b) => ...
+    parseContext(resolveVar) {
+        const preds = [];
+        const paren = this.match('PUNC', '(');
+        do {
+            const cls = this.expectId("Erro Sintático: Esperado nome de classe");
+            if (!CLASSES[cls.val]) throw new CompileError(`Classe desconhecida: ${cls.val}`, this.spanOf(cls));
+            const tok = this.expectId(`Erro Sintático: Esperado variável de tipo após ${cls.val}`);
+            if (isConName(tok.val)) throw new CompileError(`Erro Sintático: Esperado variável de tipo após ${cls.val}, achou ${tok.val}`, this.spanOf(tok));
+            resolveVar(tok);
+            preds.push({ cls: cls.val, tok });
+        } while (paren && this.match('PUNC', ','));
+        if (paren) this.expect('PUNC', ')');
+        this.expect('OP', '=>');
+        return preds;
+    }
+
+    // Padrões: p :: p (ou p : p) | C p1 p2 | atômicos
+    parsePattern() {
+        const head = this.parsePatternApp();
+        if (this.match('OP', '::') || this.match('OP', ':')) {
+            const tail = this.parsePattern();
+            return new PCons(head, tail).at(head.start, tail.end);
+        }
+        return head;
+    }
+    parsePatternApp() {
+        const t = this.peek();
+        if (t && t.type === 'ID' && isConName(t.val)) {
+            this.consume();
+            const args = [];
+            while (startsAtom(this.peek())) args.push(this.parsePatternAtom());
+            return new PCon(t.val, args).at(t.start, args.length ? args[args.length - 1].end : t.end);
+        }
+        return this.parsePatternAtom();
+    }
+    parsePatternAtom() {
+        const t = this.peek();
+        if (!t) throw new CompileError("Erro Sintático: Fim inesperado", this.spanOf(t));
+        if (t.type === 'NUM' || t.type === 'BOOL') { this.consume(); return new PLit(t.val).at(t.start, t.end); }
+        if (t.type === 'ID') {
+            this.consume();
+            if (t.val === '_') return new PWild().at(t.start, t.end);
+            if (isConName(t.val)) return new PCon(t.val, []).at(t.start, t.end);
+            return new PVar(t.val).at(t.start, t.end);
+        }
+        // [p1, ..., pn] vira p1 :: ... :: pn :: []
+        if (this.match('PUNC', '[')) {
+            const elems = [];
+            if (this.peek()?.val !== ']') do { elems.push(this.parsePattern()); } while (this.match('PUNC', ','));
+            const end = this.expect('PUNC', ']').end;
+            return elems.reduceRight((tail, head, i) => new PCons(head, tail).at(i === 0 ? t.start : head.start, end), new PNil().at(elems.length ? end - 1 : t.start, end));
+        }
+        if (this.match('PUNC', '(')) {
+            const first = this.parsePattern();
+            if (!this.match('PUNC', ',')) return first.at(t.start, this.expect('PUNC', ')').end);
+            const elems = [first];
+            do { elems.push(this.parsePattern()); } while (this.match('PUNC', ','));
+            const end = this.expect('PUNC', ')').end;
+            return new PTuple(elems).at(t.start, end);
+        }
+        throw new CompileError(`Erro Sintático: Padrão inválido: ${t.val}`, this.spanOf(t));
+    }
+    // Programa completo: uma expressão seguida do fim da entrada
+    parseProgram() {
+        const expr = this.parseExpression();
+        const t = this.peek();
+        if (t) throw new CompileError(`Erro Sintático: Token inesperado: ${t.val}`, this.spanOf(t));
+        return numberNodes(expr);
+    }
+}
@@ -0,0 +1,58 @@
+// Prelúdio: primitivas tipadas
+import { tokenize, Parser } from './parser.js';
+
+// Assinaturas no estilo Haskell; letras minúsculas são variáveis quantificadas,
+// com contexto de classes opcional (Eq a => ...).
+export const PRELUDE = {
+    id: "a -> a",
+    const: "a -> b -> a",
+    not: "Bool -> Bool",
+    head: "[a] -> a",
+    tail: "[a] -> [a]",
+    null: "[a] -> Bool",
+    length: "[a] -> Int",
+    map: "(a -> b) -> [a] -> [b]",
+    filter: "(a -> Bool) -> [a] -> [a]",
+    foldr: "(a -> b -> b) -> b -> [a] -> b",
+    fst: "(a, b) -> a",
+    snd: "(a, b) -> b",
+    elem: "Eq a => a -> [a] -> Bool",
+    sum: "Num a => [a] -> a",
+    maximum: "Ord a => [a] -> a",
+};
+
+// Implementações na própria linguagem, usadas pelo avaliador (eval.js). Cada uma tem o tipo
+// da assinatura acima (sum e o literal 0 ficam em Int, a única instância de Num).
+export const PRELUDE_CODE = {
+    id: "fun x -> x",
+    const: "fun x y -> x",
+    not: "fun b -> if b then false else true",
+    head: "fun xs -> case xs of x :: _ -> x",
+    tail: "fun xs -> case xs of _ :: t -> t",
+    null: "fun xs -> case xs of [] -> true | _ -> false",
+    length: "let rec length = fun xs -> case xs of [] -> 0 | _ :: t -> 1 + length t in length",
+    map: "let rec map = fun f xs -> case xs of [] -> [] | x :: t -> f x :: map f t in map",
+    filter: "let rec filter = fun p xs -> case xs of [] -> [] | x :: t -> if p x then x :: filter p t else filter p t in filter",
+    foldr: "let rec foldr = fun f z xs -> case xs of [] -> z | x :: t -> f x (foldr f z t) in foldr",
+    fst: "fun p -> case p of (a, _) -> a",
+    snd: "fun p -> case p of (_, b) -> b",
+    elem: "let rec elem = fun y xs -> case xs of [] -> false | x :: t -> if x == y then true else elem y t in elem",
+    sum: "let rec sum = fun xs -> case xs of [] -> 0 | x :: t -> x + sum t in sum",
+    maximum: "let rec maximum = fun xs -> case xs of [x] -> x | x :: t -> (let m = maximum t in if x > m then x else m) in maximum",
+};
+
+// Converte uma assinatura em TypeScheme. As variáveis do esquema não entram no Heap:
+// só as cópias criadas por instantiate() aparecem lá.
+export const parseTypeSig = (sig) => {
+    try { return new Parser(tokenize(sig)).parseTypeScheme(); }
+    catch (e) { throw new Error(`Assinatura inválida: ${sig} (${e.message})`); }
+};
+
+export const preludeEnv = (defs) => Object.fromEntries(Object.entries(defs).map(([name, sig]) => [name, parseTypeSig(sig)]));
+
+// Um cenário pode estender (prelude.extend) ou substituir (prelude.replace) o prelúdio padrão
+export const resolvePrelude = (scenario) => {
+    const cfg = scenario?.prelude;
+    if (cfg?.replace) return cfg.replace;
+    return { ...PRELUDE, ...(cfg?.extend || {}) };
+};
@@ -0,0 +1,12 @@
+// Posições no código-fonte
+
+// Erro com posição no código-fonte (span = { start, end }, offsets de caractere)
+export class CompileError extends Error {
+    constructor(message, span) { super(message); this.span = span; }
+}
+
+// Linha e coluna (a partir de 1) de um offset do código-fonte
+export const lineCol = (text, offset) => {
+    const lines = text.slice(0, offset).split('\n');
+    return { line: lines.length, col: lines[lines.length - 1].length + 1 };
+};
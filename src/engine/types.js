@@ -0,0 +1,124 @@
+// Sistema de tipos: construtores de tipo, esquemas e impressão
+
+export class Type {
+    constructor(id) { this.id = id; }
+    toString() { return this.id; }
+}
+export class TypeInt extends Type { constructor() { super("Int"); } }
+export class TypeBool extends Type { constructor() { super("Bool"); } }
+// Tipo de um nó que falhou no modo de recuperação: unifica com qualquer tipo, sem ligar nada
+export class TypeErr extends Type { constructor() { super("⊥"); } }
+export class TypeVar extends Type {
+    // classes: restrições de classe exigidas da variável ({ name, reason, span })
+    constructor(name) { super(name); this.name = name; this.instance = null; this.classes = []; }
+    toString() { return showType(this); }
+}
+export class TypeArrow extends Type {
+    constructor(param, ret) { super("Arrow"); this.param = param; this.ret = ret; }
+    toString() { return showType(this); }
+}
+export class TypeList extends Type {
+    constructor(elemType) { super("List"); this.elemType = elemType; }
+    toString() { return showType(this); }
+}
+export class TypeTuple extends Type {
+    constructor(elems) { super("Tuple"); this.elems = elems; }
+    toString() { return showType(this); }
+}
+// Tipo algébrico declarado com data (ex.: Maybe a)
+export class TypeCon extends Type {
+    constructor(name, args) { super(name); this.name = name; this.args = args; }
+    toString() { return showType(this); }
+}
+
+// Segue a cadeia de instâncias sem comprimir
+export const follow = (t) => { while (t instanceof TypeVar && t.instance) t = t.instance; return t; };
+
+// Impressão de tipos. resolve decide até onde seguir as variáveis ligadas
+// (por padrão, o estado atual; a árvore usa o estado de um passo do trace).
+export const showType = (t, resolve = follow) => {
+    const show = (u) => showType(u, resolve);
+    t = resolve(t);
+    if (t instanceof TypeVar) return t.name;
+    if (t instanceof TypeArrow) {
+        // A cadeia de retornos (a -> b -> ... -> r) é percorrida em laço: pode ser bem longa
+        const parts = [];
+        for (; t instanceof TypeArrow; t = resolve(t.ret)) {
+            const param = resolve(t.param);
+            parts.push(param instanceof TypeArrow ? `(${show(param)})` : show(param));
+        }
+        return [...parts, show(t)].join(' -> ');
+    }
+    if (t instanceof TypeList) return `[${show(t.elemType)}]`;
+    if (t instanceof TypeTuple) return `(${t.elems.map(show).join(', ')})`;
+    if (t instanceof TypeCon) return [t.name, ...t.args.map(a => showAtom(a, resolve))].join(' ');
+    return t.id;
+};
+// Tipo em posição de argumento (de um construtor ou de uma classe): setas e aplicações entre parênteses
+export const showAtom = (t, resolve = follow) => {
+    const u = resolve(t);
+    return u instanceof TypeArrow || (u instanceof TypeCon && u.args.length) ? `(${showType(u, resolve)})` : showType(u, resolve);
+};
+// Tipo precedido do contexto de classes das suas variáveis livres: Eq T0 => T0 -> T0 -> Bool
+export const showQualified = (t, resolve = follow) => {
+    const vars = [];
+    const stack = [t];
+    while (stack.length) {
+        const u = resolve(stack.pop());
+        if (u instanceof TypeVar) { if (!vars.includes(u)) vars.push(u); }
+        else if (u instanceof TypeArrow) stack.push(u.ret, u.param);
+        else if (u instanceof TypeList) stack.push(u.elemType);
+        else if (u instanceof TypeTuple) stack.push(...u.elems.slice().reverse());
+        else if (u instanceof TypeCon) stack.push(...u.args.slice().reverse());
+    }
+    const preds = vars.flatMap(v => v.classes.map(c => `${c.name} ${v.name}`));
+    const body = showType(t, resolve);
+    if (preds.length === 0) return body;
+    return `${preds.length === 1 ? preds[0] : `(${preds.join(', ')})`} => ${body}`;
+};
+// Igualdade a menos de renomeação das variáveis (uma bijeção), exigindo as mesmas classes
+export const alphaEquivalent = (t1, t2) => {
+    const fwd = new Map();
+    const bwd = new Map();
+    const classNames = (v) => v.classes.map(c => c.name).sort().join();
+    const eq = (a, b) => {
+        a = follow(a); b = follow(b);
+        if (a instanceof TypeVar && b instanceof TypeVar) {
+            if (fwd.has(a) || bwd.has(b)) return fwd.get(a) === b && bwd.get(b) === a;
+            fwd.set(a, b); bwd.set(b, a);
+            return classNames(a) === classNames(b);
+        }
+        if (a instanceof TypeArrow && b instanceof TypeArrow) return eq(a.param, b.param) && eq(a.ret, b.ret);
+        if (a instanceof TypeList && b instanceof TypeList) return eq(a.elemType, b.elemType);
+        if (a instanceof TypeTuple && b instanceof TypeTuple) return a.elems.length === b.elems.length && a.elems.every((e, i) => eq(e, b.elems[i]));
+        if (a instanceof TypeCon && b instanceof TypeCon) return a.name === b.name && a.args.length === b.args.length && a.args.every((x, i) => eq(x, b.args[i]));
+        return (a instanceof TypeInt && b instanceof TypeInt) || (a instanceof TypeBool && b instanceof TypeBool);
+    };
+    return eq(t1, t2);
+};
+// Esquema de tipos: ∀vars. type (variáveis quantificadas no let)
+export class TypeScheme {
+    constructor(vars, type) { this.vars = vars; this.type = type; }
+    toString() { return this.vars.length ? `∀${this.vars.map(v => v.name).join(' ')}. ${showQualified(this.type)}` : showQualified(this.type); }
+}
+
+// Representante atual de um tipo, com compressão de caminhos. onCompress(tv, antes, depois) é chamado
+// a cada ponteiro reescrito, quando tv deixa de apontar para a variável `antes` e passa a apontar direto para `depois`.
+// Iterativo, mas na mesma ordem da versão recursiva: os ponteiros mais internos são reescritos primeiro.
+export const prune = (t, onCompress) => {
+    const chain = [];
+    for (; t instanceof TypeVar && t.instance; t = t.instance) chain.push(t);
+    for (const v of chain.reverse()) {
+        const before = v.instance;
+        v.instance = t;
+        if (before !== t && onCompress) onCompress(v, before, t);
+    }
+    return t;
+};
+
+// Tipo como ele era no instante `tick` (ignora ligações posteriores e a compressão
+// de caminhos feita por prune, usando boundTo em vez de instance)
+export const typeAtTick = (t, tick) => showType(t, (u) => {
+    while (u instanceof TypeVar && u.boundTo && u.bindTick <= tick) u = u.boundTo;
+    return u;
+});
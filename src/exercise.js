@@ -0,0 +1,105 @@
+// Modo exercício: o aluno prevê o tipo final e, no modo passo a passo, cada ligação (UNIFICAR)
+// antes de ela aparecer no trace. Cada tarefa vale até EXERCISE_POINTS pontos.
+import { findNode, parseTypeSig, showType, showQualified } from './engine/index.js';
+import { toSignature, checkExpected } from './library.js';
+
+export const EXERCISE_KINDS = [
+    { id: 'type', label: 'Tipo final' },
+    { id: 'steps', label: 'Passo a passo' },
+];
+// Certo de primeira e sem dica: todos os pontos; certo depois de errar ou de pedir dica: 1; revelado: 0
+export const EXERCISE_POINTS = 2;
+
+const snippet = (code, nodeId, ast) => {
+    const node = findNode(ast, nodeId);
+    if (!node || node.start === null) return null;
+    const text = code.slice(node.start, node.end).replace(/\s+/g, ' ');
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+// Forma do tipo sem os nomes: Eq a => a -> [a] vira ? -> [?]
+const shapeOf = (type) => showType(type).replace(/\b[A-Za-z]\w*\b/g, '?');
+
+// Tarefas de um resultado de runInference: uma por UNIFICAR (modo passo a passo) e a do tipo final.
+// step é o passo revelado quando a tarefa termina; o trace não avança além dele antes disso.
+// Dicas vêm dos textos de contexto do trace: a restrição, a parte dela e o nó do código.
+export const createExercise = (result, kind) => {
+    const tasks = [];
+    if (kind === 'steps') {
+        result.steps.forEach((step, i) => {
+            if (!step.event || step.event.kind !== 'bind') return;
+            const { var: name, to, reason, constraint } = step.event;
+            const where = snippet(result.code, step.nodeId, result.ast);
+            tasks.push({
+                kind: 'bind', step: i, var: name, answer: `${name} = ${to}`, to,
+                hints: [
+                    `Restrição: ${constraint}${where ? ` em \`${where}\`` : ''}`,
+                    ...(reason !== constraint ? [`Parte da restrição: ${reason}`] : []),
+                    `A variável ligada é ${name}`,
+                ],
+            });
+        });
+    }
+    const root = result.ast && result.nodeTypes[result.ast.uid];
+    tasks.push({
+        kind: 'type',
+        // No modo só do tipo final, nada da derivação aparece antes da resposta
+        step: kind === 'steps' ? result.steps.length - 1 : Math.min(1, result.steps.length - 1),
+        answer: result.type ? toSignature(showQualified(result.type)) : 'erro',
+        hints: result.type
+            ? [`Regra na raiz: ${root.rule} (${root.desc})`, `Forma: ${shapeOf(result.type)}`]
+            : ['Nem todo programa tem tipo: a resposta também pode ser "erro"'],
+    });
+    return { result, kind, tasks, index: 0, hintsShown: 0, attempts: [], records: [] };
+};
+
+// Tipos de uma ligação comparados pela impressão (T3 é um nome do heap, não uma variável quantificada)
+const sameType = (a, b) => {
+    try { return showType(parseTypeSig(a).type) === showType(parseTypeSig(b).type); }
+    catch { return false; }
+};
+
+// "T3 = Int -> T4" (também aceita := e ⟵); entre duas variáveis, vale nos dois sentidos
+const checkBinding = (task, text) => {
+    const m = text.match(/^\s*(\w+)\s*(?::=|=|⟵|<-)\s*(.+)$/);
+    if (!m) return false;
+    const [, name, type] = m;
+    return (name === task.var && sameType(type, task.to)) || (/^T\d+$/.test(task.to) && name === task.to && type.trim() === task.var);
+};
+
+// Tipo final a menos de renomeação; nomes do heap (T0, T5) também valem, como variáveis (t0, t5)
+const checkType = (result, text) => {
+    if (!result.type) return text.trim().toLowerCase() === 'erro';
+    return checkExpected({ type: text.replace(/\bT(\d+)\b/g, 't$1') }, result);
+};
+
+export const currentTask = (exercise) => exercise.tasks[exercise.index] || null;
+export const isFinished = (exercise) => exercise.index >= exercise.tasks.length;
+
+const finish = (exercise, correct) => {
+    const task = currentTask(exercise);
+    const clean = correct && exercise.attempts.length === 0 && exercise.hintsShown === 0;
+    const record = { task, correct, points: clean ? EXERCISE_POINTS : correct ? 1 : 0, attempts: exercise.attempts, hints: exercise.hintsShown };
+    return { ...exercise, index: exercise.index + 1, hintsShown: 0, attempts: [], records: [...exercise.records, record] };
+};
+
+// Confere uma resposta: certa encerra a tarefa; errada fica registrada e a tarefa continua
+export const answerTask = (exercise, text) => {
+    const task = currentTask(exercise);
+    const correct = task.kind === 'bind' ? checkBinding(task, text) : checkType(exercise.result, text);
+    if (correct) return { exercise: finish(exercise, true), correct };
+    return { exercise: { ...exercise, attempts: [...exercise.attempts, text.trim()] }, correct };
+};
+
+export const showHint = (exercise) => ({ ...exercise, hintsShown: Math.min(exercise.hintsShown + 1, currentTask(exercise).hints.length) });
+export const revealTask = (exercise) => finish(exercise, false);
+
+// Último passo que pode ser mostrado: o anterior ao da tarefa atual (ou o fim, se acabou)
+export const visibleLimit = (exercise) => (isFinished(exercise) ? exercise.result.steps.length - 1 : currentTask(exercise).step - 1);
+
+export const scoreOf = (exercise) => ({
+    points: exercise.records.reduce((sum, r) => sum + r.points, 0),
+    max: exercise.tasks.length * EXERCISE_POINTS,
+    // Erros para o resumo final: tarefas com tentativas erradas ou reveladas
+    mistakes: exercise.records.filter(r => !r.correct || r.attempts.length > 0),
+});
@@ -0,0 +1,54 @@
+import { runInference } from './engine/index.js';
+import { EXERCISE_POINTS, createExercise, answerTask, showHint, revealTask, scoreOf, currentTask, isFinished, visibleLimit } from './exercise.js';
+
+const answer = (exercise, text) => answerTask(exercise, text).exercise;
+
+describe('exercício do tipo final', () => {
+    test.each([
+        ['fun x -> x', 'b -> b'],
+        ['fun x -> x', 'T0 -> T0'],
+        ['fun x y -> x == y', 'Eq a => a -> a -> Bool'],
+        ['1 + true', 'erro'],
+    ])('%s aceita %s', (code, text) => {
+        expect(answerTask(createExercise(runInference(code), 'type'), text).correct).toBe(true);
+    });
+
+    test('resposta errada não encerra a tarefa', () => {
+        const { exercise, correct } = answerTask(createExercise(runInference('fun x y -> x'), 'type'), 'a -> b -> b');
+        expect(correct).toBe(false);
+        expect(exercise.attempts).toEqual(['a -> b -> b']);
+        expect(isFinished(exercise)).toBe(false);
+    });
+
+    test('pontuação: de primeira, depois de errar, com dica e revelada', () => {
+        const fresh = () => createExercise(runInference('fun x -> x + 1'), 'type');
+        expect(scoreOf(answer(fresh(), 'Int -> Int'))).toMatchObject({ points: EXERCISE_POINTS, max: EXERCISE_POINTS, mistakes: [] });
+        expect(scoreOf(answer(answer(fresh(), 'Bool'), 'Int -> Int')).points).toBe(1);
+        expect(scoreOf(answer(showHint(fresh()), 'Int -> Int')).points).toBe(1);
+        const revealed = scoreOf(revealTask(fresh()));
+        expect(revealed.points).toBe(0);
+        expect(revealed.mistakes).toHaveLength(1);
+    });
+});
+
+describe('exercício passo a passo', () => {
+    const result = runInference('fun x -> x + 1');
+
+    test('uma tarefa por ligação, mais a do tipo final', () => {
+        const exercise = createExercise(result, 'steps');
+        expect(exercise.tasks.map(t => t.answer)).toEqual(['T0 = T1', 'T1 = Int', 'Int -> Int']);
+        // O trace para antes da ligação a adivinhar
+        expect(visibleLimit(exercise)).toBe(exercise.tasks[0].step - 1);
+    });
+
+    test('ligações aceitam := e ⟵, e variáveis nos dois sentidos', () => {
+        let exercise = createExercise(result, 'steps');
+        exercise = answer(exercise, 'T1 = T0');
+        expect(currentTask(exercise).var).toBe('T1');
+        exercise = answer(exercise, 'T1 ⟵ Int');
+        exercise = answer(exercise, 'Int -> Int');
+        expect(isFinished(exercise)).toBe(true);
+        expect(scoreOf(exercise)).toMatchObject({ points: 3 * EXERCISE_POINTS, max: 3 * EXERCISE_POINTS });
+        expect(visibleLimit(exercise)).toBe(result.steps.length - 1);
+    });
+});
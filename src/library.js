@@ -0,0 +1,117 @@
+// Biblioteca de cenários do usuário (localStorage), arquivo de importação/exportação e permalinks
+import { PRELUDE, parseTypeSig, alphaEquivalent } from './engine/index.js';
+
+const LIBRARY_KEY = 'hm-visualizer:library';
+const DRAFT_KEY = 'hm-visualizer:draft';
+export const LIBRARY_FORMAT = 'haskell-type-inference-visualizer/library';
+export const LIBRARY_VERSION = 1;
+
+// Cenário salvo: { name, description, code, mode, prelude?, expected: { type } | { error } | null }.
+// O prelúdio só é guardado quando difere do padrão.
+export const makeEntry = ({ name, description, code, mode, prelude, expected }) => ({
+    name, description, code, mode, expected,
+    ...(JSON.stringify(prelude) !== JSON.stringify(PRELUDE) ? { prelude } : {}),
+});
+
+const readStorage = (key, fallback) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+};
+// Armazenamento indisponível (modo privado, cota cheia) não impede o uso do visualizador
+const writeStorage = (key, value) => {
+    try { window.localStorage.setItem(key, JSON.stringify(value)); } catch { }
+};
+
+export const loadLibrary = () => {
+    const entries = readStorage(LIBRARY_KEY, []);
+    return Array.isArray(entries) ? entries.filter(isEntry).map(cleanEntry) : [];
+};
+export const saveLibrary = (entries) => writeStorage(LIBRARY_KEY, entries);
+
+// Texto do editor, restaurado ao recarregar a página
+export const loadDraft = () => readStorage(DRAFT_KEY, null);
+export const saveDraft = (code) => writeStorage(DRAFT_KEY, code);
+
+// Insere ou substitui (pelo nome) mantendo a ordem de inserção
+export const upsertEntry = (entries, entry) => {
+    const i = entries.findIndex(e => e.name === entry.name);
+    return i === -1 ? [...entries, entry] : entries.map((e, j) => (j === i ? entry : e));
+};
+
+// --- Validação ---
+// Dados de fora (link, localStorage, arquivo) podem ter qualquer forma: o que não confere volta ao padrão
+const MODE_IDS = ['W', 'constraints'];
+const validMode = (mode) => (MODE_IDS.includes(mode) ? mode : 'W');
+// Prelúdio: objeto simples de nome → assinatura (texto)
+const isPrelude = (p) => !!p && typeof p === 'object' && Object.getPrototypeOf(p) === Object.prototype
+    && Object.values(p).every(sig => typeof sig === 'string');
+const isExpected = (x) => !!x && (typeof x.type === 'string' || typeof x.error === 'string');
+
+const isEntry = (e) => e && typeof e.name === 'string' && e.name.trim() !== '' && typeof e.code === 'string';
+// Cenário com modo, prelúdio e resultado esperado válidos (os inválidos são descartados)
+const cleanEntry = ({ prelude, ...e }) => ({
+    ...e,
+    mode: validMode(e.mode),
+    expected: isExpected(e.expected) ? e.expected : null,
+    ...(isPrelude(prelude) ? { prelude } : {}),
+});
+
+// --- Arquivo ---
+export const libraryToJSON = (entries) => ({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, scenarios: entries });
+
+export const parseLibraryJSON = (text) => {
+    const data = JSON.parse(text);
+    if (!data || data.format !== LIBRARY_FORMAT) throw new Error('Arquivo não é uma biblioteca de cenários');
+    if (data.version !== LIBRARY_VERSION) throw new Error(`Versão de biblioteca não suportada: ${data.version}`);
+    if (!Array.isArray(data.scenarios)) throw new Error('Biblioteca sem cenários');
+    const invalid = data.scenarios.findIndex(e => !isEntry(e));
+    if (invalid !== -1) throw new Error(`Cenário ${invalid + 1} inválido: exige name e code`);
+    return data.scenarios.map(cleanEntry);
+};
+
+// --- Resultado esperado ---
+// Tipo inferido como assinatura: T0, T5, ... viram a, b, ... na ordem em que aparecem; depois de z, a1, b1, ...
+const varName = (n) => `${String.fromCharCode(97 + (n % 26))}${n >= 26 ? Math.floor(n / 26) : ''}`;
+export const toSignature = (typeString) => {
+    const names = new Map();
+    return typeString.replace(/\bT\d+\b/g, (v) => {
+        if (!names.has(v)) names.set(v, varName(names.size));
+        return names.get(v);
+    });
+};
+
+// Tipos são comparados a menos de renomeação (Eq a => a -> Bool confere com Eq T3 => T3 -> Bool);
+// erros, por trecho da mensagem.
+export const checkExpected = (expected, result) => {
+    if (expected.error !== undefined) {
+        return !!result.error && result.error.message.toLowerCase().includes(expected.error.toLowerCase());
+    }
+    if (result.error) return false;
+    try { return alphaEquivalent(result.type, parseTypeSig(expected.type).type); }
+    catch { return false; }
+};
+
+// --- Permalink ---
+// Hash legível: #code=...&mode=W&step=5[&recover=1][&prelude={...}]
+export const encodePermalink = ({ code, mode, prelude, step, recover }) => {
+    const params = new URLSearchParams({ code, mode });
+    if (recover) params.set('recover', '1');
+    if (step !== null && step !== undefined) params.set('step', String(step));
+    if (JSON.stringify(prelude) !== JSON.stringify(PRELUDE)) params.set('prelude', JSON.stringify(prelude));
+    return `#${params}`;
+};
+
+export const decodePermalink = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('code')) return null;
+    let prelude = PRELUDE;
+    try { if (params.has('prelude')) prelude = JSON.parse(params.get('prelude')); }
+    catch { prelude = PRELUDE; }
+    if (!isPrelude(prelude)) prelude = PRELUDE;
+    const step = parseInt(params.get('step'), 10);
+    return { code: params.get('code'), mode: validMode(params.get('mode')), prelude, step: Number.isNaN(step) ? null : Math.max(0, step), recover: params.get('recover') === '1' };
+};
@@ -0,0 +1,79 @@
+import { PRELUDE, runInference } from './engine/index.js';
+import { encodePermalink, decodePermalink, loadLibrary, parseLibraryJSON, libraryToJSON, toSignature, checkExpected } from './library.js';
+
+describe('permalink', () => {
+    test('ida e volta', () => {
+        const prelude = { ...PRELUDE, dobro: 'Int -> Int' };
+        const hash = encodePermalink({ code: 'dobro 2', mode: 'constraints', prelude, step: 4, recover: true });
+        expect(decodePermalink(hash)).toEqual({ code: 'dobro 2', mode: 'constraints', prelude, step: 4, recover: true });
+    });
+
+    test.each(['null', '[1]', '"texto"', '{"f":1}', '{"f":null}', 'não é json'])('prelúdio inválido (%s) volta ao padrão', (raw) => {
+        const hash = `#${new URLSearchParams({ code: '1', mode: 'W', prelude: raw })}`;
+        expect(decodePermalink(hash).prelude).toBe(PRELUDE);
+    });
+
+    test('prelúdio vazio é válido', () => {
+        expect(decodePermalink(`#${new URLSearchParams({ code: '1', prelude: '{}' })}`).prelude).toEqual({});
+    });
+
+    test('modo desconhecido ou ausente vira W', () => {
+        expect(decodePermalink('#code=1&mode=outro').mode).toBe('W');
+        expect(decodePermalink('#code=1').mode).toBe('W');
+        expect(decodePermalink('#mode=W')).toBeNull();
+    });
+
+    test('passo negativo vira 0; passo inválido é ignorado', () => {
+        expect(decodePermalink('#code=1&step=-5').step).toBe(0);
+        expect(decodePermalink('#code=1&step=abc').step).toBeNull();
+    });
+});
+
+describe('biblioteca', () => {
+    const scenarios = [
+        { name: 'ok', code: '1', mode: 'constraints', prelude: { f: 'Int' }, expected: { type: 'Int' } },
+        { name: 'estragado', code: '2', mode: 'X', prelude: [1], expected: 5 },
+        { name: '', code: '3' },
+    ];
+
+    afterEach(() => window.localStorage.clear());
+
+    test('entradas do localStorage com modo, prelúdio ou resultado esperado inválidos são corrigidas', () => {
+        window.localStorage.setItem('hm-visualizer:library', JSON.stringify(scenarios));
+        expect(loadLibrary()).toEqual([
+            scenarios[0],
+            { name: 'estragado', code: '2', mode: 'W', expected: null },
+        ]);
+    });
+
+    test('localStorage com lixo não quebra', () => {
+        window.localStorage.setItem('hm-visualizer:library', '{"a":');
+        expect(loadLibrary()).toEqual([]);
+    });
+
+    test('arquivo importado passa pela mesma validação', () => {
+        expect(parseLibraryJSON(JSON.stringify(libraryToJSON(scenarios.slice(0, 2))))[1]).toEqual({ name: 'estragado', code: '2', mode: 'W', expected: null });
+        expect(() => parseLibraryJSON(JSON.stringify(libraryToJSON(scenarios)))).toThrow('Cenário 3 inválido: exige name e code');
+    });
+});
+
+describe('toSignature', () => {
+    test('variáveis na ordem em que aparecem', () => {
+        expect(toSignature('Eq T7 => T7 -> T2 -> (T2, T7)')).toBe('Eq a => a -> b -> (b, a)');
+    });
+
+    test('depois de z vêm a1, b1, ... sem repetir nomes', () => {
+        const vars = Array.from({ length: 60 }, (_, i) => `T${i}`);
+        const names = toSignature(`(${vars.join(', ')})`).slice(1, -1).split(', ');
+        expect(names.slice(24, 29)).toEqual(['y', 'z', 'a1', 'b1', 'c1']);
+        expect(names[52]).toBe('a2');
+        expect(new Set(names).size).toBe(60);
+    });
+
+    test('a assinatura confere com o tipo de onde veio, mesmo com muitas variáveis', () => {
+        const params = Array.from({ length: 30 }, (_, i) => `x${i}`);
+        const result = runInference(`fun ${params.join(' ')} -> (${params.join(', ')})`);
+        const type = toSignature(String(result.type));
+        expect(checkExpected({ type }, result)).toBe(true);
+    });
+});